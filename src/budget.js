@@ -0,0 +1,135 @@
+/**
+ * Central accounting of `maxItems`. Output listings are committed to the
+ * `zpids` set, and a slot is reserved for each detail query in flight, so
+ * concurrent pages can't issue more queries than the items still missing.
+ * When every slot is taken, the next queries wait for a released slot instead
+ * of being dropped, since the queries in flight can still be filtered out or fail.
+ * New work stops when enough listings were output, or when the run is stopped
+ * early by one of the run limits
+ *
+ * @param {{ maxItems?: number }} input
+ * @param {Set<string>} zpids Output zpids, including the ones from before a migration
+ */
+const createItemBudget = ({ maxItems }, zpids) => {
+    const limit = typeof maxItems === 'number' && maxItems > 0 ? maxItems : Infinity;
+    /** @type {Set<string>} */
+    const reserved = new Set();
+    /** @type {Array<() => void>} */
+    const doneListeners = [];
+    /** @type {Array<() => void>} */
+    let waiting = [];
+    let isStopped = false;
+    let notifiedDone = false;
+
+    const isFull = () => zpids.size >= limit;
+
+    const wakeUp = () => {
+        const wake = waiting;
+        waiting = [];
+        wake.forEach((resolve) => resolve());
+    };
+
+    /**
+     * Resolves on the next release, commit or stop
+     */
+    const waitForSlot = () => new Promise((resolve) => {
+        waiting.push(() => resolve(undefined));
+    });
+
+    const notifyDone = () => {
+        if (!notifiedDone) {
+            notifiedDone = true;
+            doneListeners.forEach((listener) => listener());
+        }
+
+        wakeUp();
+    };
+
+    return {
+        /**
+         * Enough listings were output
+         */
+        isFull,
+        /**
+         * Enough listings were output or the run was stopped,
+         * nothing new should be started
+         */
+        isDone() {
+            return isStopped || isFull();
+        },
+        /**
+         * Takes a slot before querying the details of the listing, waiting
+         * for one when all of them are taken. False when the budget is done,
+         * or the zpid is already output or in flight
+         *
+         * @param {string | number} zpid
+         * @returns {Promise<boolean>}
+         */
+        async reserve(zpid) {
+            const key = `${zpid}`;
+
+            while (zpids.size + reserved.size >= limit && !isStopped && !isFull() && !reserved.has(key)) {
+                await waitForSlot();
+            }
+
+            if (isStopped || isFull() || reserved.has(key) || zpids.has(key)) {
+                return false;
+            }
+
+            reserved.add(key);
+
+            return true;
+        },
+        /**
+         * Frees the slot after the query, the listing holds it when it was output
+         *
+         * @param {string | number} zpid
+         */
+        release(zpid) {
+            if (reserved.delete(`${zpid}`)) {
+                wakeUp();
+            }
+        },
+        /**
+         * Counts the output listing, false when the budget was already full
+         * or the listing was already output by a concurrent page
+         *
+         * @param {string | number} zpid
+         */
+        commit(zpid) {
+            const key = `${zpid}`;
+
+            if (isFull() || zpids.has(key)) {
+                return false;
+            }
+
+            zpids.add(key);
+            reserved.delete(key);
+
+            if (isFull()) {
+                notifyDone();
+            }
+
+            return true;
+        },
+        /**
+         * No new queries or requests, the ones in flight can still output their listings
+         */
+        stop() {
+            isStopped = true;
+            notifyDone();
+        },
+        /**
+         * Called once when the last listing is committed or the run is stopped
+         *
+         * @param {() => void} listener
+         */
+        onDone(listener) {
+            doneListeners.push(listener);
+        },
+    };
+};
+
+module.exports = {
+    createItemBudget,
+};
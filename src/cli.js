@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const INPUT_SCHEMA = require('../INPUT_SCHEMA.json');
+const { scrapeZillow, getDefaultInput } = require('./index');
+
+const USAGE = `Usage: zillow-scrape [command] [arguments] [options]
+
+Commands:
+  search <term>          Search for a city, address or area, like "Austin, TX"
+  zpids <zpid...>        Scrape the given zpids
+  zipcodes <zipcode...>  Scrape the given US zipcodes
+  urls <url...>          Scrape the given Zillow URLs
+
+Options:
+  --config <file>        JSON file with the input, the flags override it
+  --out <file>           Write the NDJSON to a file instead of stdout
+  --help                 Show this help
+
+Every field of INPUT_SCHEMA.json is also a flag, like --max-items 500 or
+--type sold. Booleans can be negated with --no-<flag>, arrays are comma
+separated or JSON, objects are JSON.`;
+
+const COMMANDS = {
+    search: 'search',
+    zpids: 'zpids',
+    zipcodes: 'zipcodes',
+    urls: 'startUrls',
+};
+
+/**
+ * @param {string} name
+ */
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+
+/**
+ * Converts the flag value to the type of the input schema property
+ *
+ * @param {string} key
+ * @param {string | boolean} value
+ * @param {any} [previous] Repeated array flags are accumulated
+ */
+const coerceValue = (key, value, previous) => {
+    const { type } = INPUT_SCHEMA.properties[key];
+
+    if (type === 'boolean') {
+        return value === true || value === 'true';
+    }
+
+    if (typeof value !== 'string') {
+        throw new Error(`--${key} needs a value`);
+    }
+
+    if (type === 'integer') {
+        if (!/^-?\d+$/.test(value)) {
+            throw new Error(`--${key} needs to be an integer`);
+        }
+
+        return +value;
+    }
+
+    if (type === 'array') {
+        const values = /^\s*\[/.test(value)
+            ? JSON.parse(value)
+            : value.split(',').map((item) => item.trim()).filter(Boolean);
+
+        return [...(previous ?? []), ...values];
+    }
+
+    if (type === 'object') {
+        return JSON.parse(value);
+    }
+
+    return value;
+};
+
+/**
+ * @param {string[]} argv
+ */
+const parseArgs = (argv) => {
+    /** @type {Record<string, any>} */
+    const flags = {};
+    /** @type {string[]} */
+    const positionals = [];
+    /** @type {Record<string, any>} */
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue; // eslint-disable-line no-continue
+        }
+
+        const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const negated = rawName.startsWith('no-');
+        const name = toCamelCase(negated ? rawName.slice(3) : rawName);
+
+        if (['help', 'out', 'config'].includes(name)) {
+            options[name] = name === 'help' ? true : inlineValue ?? argv[++i];
+            continue; // eslint-disable-line no-continue
+        }
+
+        const property = INPUT_SCHEMA.properties[name];
+
+        if (!property) {
+            throw new Error(`Unknown option --${rawName}`);
+        }
+
+        /** @type {string | boolean} */
+        let value = !negated;
+
+        if (!negated && inlineValue !== undefined) {
+            value = inlineValue;
+        } else if (!negated && property.type !== 'boolean') {
+            value = argv[++i];
+        }
+
+        flags[name] = coerceValue(name, value, flags[name]);
+    }
+
+    return { flags, positionals, options };
+};
+
+/**
+ * Schema defaults, then the config file, then the command and flags
+ *
+ * @param {ReturnType<typeof parseArgs>} args
+ */
+const getInput = ({ flags, positionals, options }) => {
+    const config = options.config
+        ? JSON.parse(fs.readFileSync(options.config, 'utf8'))
+        : {};
+
+    /** @type {Record<string, any>} */
+    const input = {
+        ...getDefaultInput(),
+        // Apify proxy is only available with the credentials
+        proxyConfiguration: { useApifyProxy: !!process.env.APIFY_PROXY_PASSWORD },
+        ...config,
+        ...flags,
+    };
+
+    const [command, ...values] = positionals;
+
+    if (command) {
+        const key = COMMANDS[/** @type {keyof COMMANDS} */ (command)];
+
+        if (!key) {
+            throw new Error(`Unknown command "${command}"`);
+        }
+
+        if (!values.length) {
+            throw new Error(`"${command}" needs at least one argument`);
+        }
+
+        if (key === 'search') {
+            input.search = values.join(' ');
+        } else if (key === 'startUrls') {
+            input.startUrls = values.map((url) => ({ url }));
+        } else {
+            input[key] = values;
+        }
+    }
+
+    return input;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.options.help || !process.argv.slice(2).length) {
+        console.error(USAGE);
+        return;
+    }
+
+    const input = getInput(args);
+
+    if (!process.env.APIFY_LOCAL_STORAGE_DIR) {
+        // each run starts with empty storages
+        process.env.APIFY_LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'zillow-scrape-'));
+    }
+
+    // stdout is only for the NDJSON output, the logs go to stderr
+    console.log = console.error;
+    console.info = console.error;
+    console.debug = console.error;
+
+    if (input.serverMode) {
+        const { startServer } = require('./server'); // eslint-disable-line global-require
+
+        await startServer(input);
+        return;
+    }
+
+    const out = args.options.out
+        ? fs.createWriteStream(args.options.out)
+        : process.stdout;
+
+    for await (const item of scrapeZillow(input)) {
+        if (!out.write(`${JSON.stringify(item)}\n`)) {
+            await new Promise((resolve) => out.once('drain', resolve));
+        }
+    }
+
+    if (out !== process.stdout) {
+        await new Promise((resolve) => out.end(resolve));
+    }
+};
+
+if (require.main === module) {
+    main().then(() => {
+        process.exit(0);
+    }, (e) => {
+        console.error(e.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    getInput,
+};
@@ -22,10 +22,63 @@ const TYPES = {
     qs: 'qs',
 };
 
+/**
+ * Input range filters, keyed by their Zillow filterState name,
+ * with the matching property attribute for checking the output
+ */
+const RANGE_FILTERS = {
+    price: { min: 'minPrice', max: 'maxPrice', attribute: 'price' },
+    monthlyPayment: { min: 'minRent', max: 'maxRent', attribute: 'price' },
+    beds: { min: 'minBeds', max: 'maxBeds', attribute: 'bedrooms' },
+    baths: { min: 'minBaths', max: 'maxBaths', attribute: 'bathrooms' },
+    sqft: { min: 'minLivingArea', max: 'maxLivingArea', attribute: 'livingArea' },
+    lotSize: { min: 'minLotSize', max: 'maxLotSize', attribute: 'lotSize' },
+    built: { min: 'minYearBuilt', max: 'maxYearBuilt', attribute: 'yearBuilt' },
+    hoa: { max: 'maxHoa', attribute: 'monthlyHoaFee' },
+};
+
+/**
+ * Input home types, with their Zillow filterState name and property homeType
+ */
+const HOME_TYPES = {
+    house: { filter: 'isSingleFamily', homeType: 'SINGLE_FAMILY' },
+    townhouse: { filter: 'isTownhouse', homeType: 'TOWNHOUSE' },
+    condo: { filter: 'isCondo', homeType: 'CONDO' },
+    apartment: { filter: 'isApartment', homeType: 'APARTMENT' },
+    multiFamily: { filter: 'isMultiFamily', homeType: 'MULTI_FAMILY' },
+    manufactured: { filter: 'isManufactured', homeType: 'MANUFACTURED' },
+    land: { filter: 'isLotLand', homeType: 'LOT' },
+};
+
 const INITIAL_URL = 'https://www.zillow.com/homes/Los-Angeles_rb/';
 
 const PAGES_LIMIT = 20;
 
+/**
+ * Maximum number of map results Zillow returns for a single search
+ */
+const RESULTS_LIMIT = 500;
+
+/**
+ * Street level map zoom, maps can't be zoomed in further
+ */
+const MAX_ZOOM = 19;
+
+/**
+ * Price splitting of street level tiles. Open ended ranges are split
+ * at the start price first, but not above the ceiling, ranges narrower
+ * than the narrowest aren't split
+ */
+const PRICE_BANDS = {
+    sale: { start: 500000, ceiling: 100000000, narrowest: 1000 },
+    rent: { start: 2000, ceiling: 100000, narrowest: 50 },
+};
+
+/**
+ * Number of tiles per side when covering a search polygon
+ */
+const POLYGON_GRID_SIZE = 4;
+
 const URL_PATTERNS_TO_BLOCK = [
     '.gif',
     '.webp',
@@ -83,11 +136,160 @@ const URL_PATTERNS_TO_BLOCK = [
 
 const ORIGIN = 'https://www.zillow.com/';
 
+/**
+ * Attribute paths picked from the property data
+ */
+const OUTPUT_FIELDS = {
+    discovery: [
+        'zpid',
+        'price',
+        'address',
+        'latitude',
+        'longitude',
+        'homeStatus',
+        'detailUrl',
+    ],
+    simple: [
+        'address',
+        'bedrooms',
+        'bathrooms',
+        'price',
+        'yearBuilt',
+        'longitude',
+        'homeStatus',
+        'latitude',
+        'description',
+        'livingArea',
+        'currency',
+        'hdpUrl',
+        'responsivePhotos',
+    ],
+    full: [
+        'address',
+        'bedrooms',
+        'bathrooms',
+        'price',
+        'yearBuilt',
+        'longitude',
+        'homeStatus',
+        'latitude',
+        'description',
+        'livingArea',
+        'currency',
+        'hdpUrl',
+        'responsivePhotos',
+        'datePosted',
+        'isZillowOwned',
+        'priceHistory',
+        'zpid',
+        'isPremierBuilder',
+        'primaryPublicVideo',
+        'tourViewCount',
+        'postingContact',
+        'unassistedShowing',
+        'homeType',
+        'comingSoonOnMarketDate',
+        'timeZone',
+        'newConstructionType',
+        'moveInReady',
+        'moveInCompletionDate',
+        'lastSoldPrice',
+        'contingentListingType',
+        'zestimate',
+        'zestimateLowPercent',
+        'zestimateHighPercent',
+        'rentZestimate',
+        'restimateLowPercent',
+        'restimateHighPercent',
+        'solarPotential',
+        'brokerId',
+        'parcelId',
+        'homeFacts',
+        'taxAssessedValue',
+        'taxAssessedYear',
+        'isPreforeclosureAuction',
+        'listingProvider',
+        'marketingName',
+        'building',
+        'priceChange',
+        'datePriceChanged',
+        'dateSold',
+        'lotSize',
+        'hoaFee',
+        'mortgageRates',
+        'propertyTaxRate',
+        'whatILove',
+        'isFeatured',
+        'isListedByOwner',
+        'isCommunityPillar',
+        'pageViewCount',
+        'favoriteCount',
+        'openHouseSchedule',
+        'brokerageName',
+        'taxHistory',
+        'abbreviatedAddress',
+        'ownerAccount',
+        'isRecentStatusChange',
+        'isNonOwnerOccupied',
+        'buildingId',
+        'daysOnZillow',
+        'rentalApplicationsAcceptedType',
+        'buildingPermits',
+        'highlights',
+        'tourEligibility',
+    ],
+};
+
+/**
+ * Bump when a field of the normalized output is renamed, removed or changes type
+ */
+const NORMALIZED_SCHEMA_VERSION = 1;
+
+/**
+ * Fields compared between runs in the change detection mode
+ */
+const SNAPSHOT_FIELDS = [
+    'price',
+    'homeStatus',
+    'zestimate',
+    'rentZestimate',
+    'bedrooms',
+    'bathrooms',
+    'livingArea',
+    'lotSize',
+    'priceChange',
+    'datePriceChanged',
+    'dateSold',
+    'daysOnZillow',
+];
+
+/**
+ * Number of records the snapshot is split into, to keep the records small
+ */
+const SNAPSHOT_SHARDS = 16;
+
+/**
+ * Number of records the index of the pushed history rows is split into
+ */
+const HISTORY_SHARDS = 16;
+
+const QUERY_ID_NOT_FOUND = 'queryId not found';
+
+/**
+ * Consecutive GraphQL errors before the queryId is discovered again,
+ * and how many times it can be discovered again in one run
+ */
+const QUERY_ID_REFRESH = {
+    failures: 5,
+    maxRefreshes: 3,
+};
+
 /**
  * @typedef {{
  *   zpid: string
  *   detailUrl: string
  *   relaxed: boolean
+ *   latLong?: { latitude?: number, longitude?: number }
  * }} ZpidResult
  *
  * @typedef {{
@@ -113,13 +315,25 @@ const ORIGIN = 'https://www.zillow.com/';
  * }} GetSearchPageState
  *
  * @typedef {{
+ *   min?: number,
+ *   max?: number,
+ * }} PriceRange
+ *
+ * @typedef {{
+ *   price?: PriceRange,
+ *   monthlyPayment?: PriceRange,
+ * }} PriceBands
+ *
+ * @typedef {{
+ *   west: number,
+ *   east: number,
+ *   south: number,
+ *   north: number,
+ * }} MapBounds
+ *
+ * @typedef {{
  *    pagination: { currentPage?: number },
- *    mapBounds: {
- *      west: number,
- *      east: number,
- *      south: number,
- *      north: number,
- *    },
+ *    mapBounds: MapBounds,
  *    mapZoom?: number,
  *    filterState: Record<string, any>
  * }} SearchQueryState
@@ -130,14 +344,31 @@ const ORIGIN = 'https://www.zillow.com/';
  *   startUrls?: any[]
  *   type?: string
  *   zpids?: string[]
+ *   polygons?: any[]
+ *   homeTypes?: string[]
+ *   includeHomesWithNoHoa?: boolean
+ *   [filter: string]: any
  * }} Input
  */
 
 module.exports = {
     LABELS,
     TYPES,
+    RANGE_FILTERS,
+    HOME_TYPES,
     INITIAL_URL,
     PAGES_LIMIT,
+    RESULTS_LIMIT,
+    MAX_ZOOM,
+    PRICE_BANDS,
+    POLYGON_GRID_SIZE,
     URL_PATTERNS_TO_BLOCK,
     ORIGIN,
+    QUERY_ID_NOT_FOUND,
+    QUERY_ID_REFRESH,
+    OUTPUT_FIELDS,
+    NORMALIZED_SCHEMA_VERSION,
+    SNAPSHOT_FIELDS,
+    SNAPSHOT_SHARDS,
+    HISTORY_SHARDS,
 };
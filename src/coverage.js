@@ -0,0 +1,181 @@
+const Apify = require('apify');
+
+/* eslint-disable no-unused-vars */
+const {
+    SearchQueryState,
+    GetSearchPageState,
+    PriceRange,
+} = require('./constants');
+/* eslint-enable no-unused-vars */
+
+const fns = require('./functions');
+
+/**
+ * @typedef {{
+ *   mapBounds: SearchQueryState['mapBounds'],
+ *   mapZoom?: number,
+ *   category: string,
+ *   listingType: string,
+ *   priceRange?: PriceRange,
+ *   totalResultCount: number,
+ *   zpids: string[],
+ * }} CoverageTile
+ *
+ * @typedef {{
+ *   tiles: Record<string, CoverageTile>,
+ *   splits: string[],
+ * }} CoverageState
+ */
+
+/**
+ * Tiles are the same area regardless of the category, filter or pagination,
+ * but tiles split by price only cover their own price range
+ *
+ * @param {Pick<SearchQueryState, 'mapZoom' | 'mapBounds'>} queryState
+ * @param {PriceRange} [priceRange]
+ */
+const getAreaKey = ({ mapZoom, mapBounds }, priceRange) => fns.quickHash([
+    mapZoom,
+    [mapBounds.west, mapBounds.east, mapBounds.north, mapBounds.south],
+    [priceRange?.min, priceRange?.max],
+]);
+
+/**
+ * @param {Record<string, any>} filterState
+ */
+const getListingType = (filterState = {}) => {
+    const filter = fns.translateQsToFilter(filterState);
+
+    if (filter.isForRent?.value) {
+        return 'rent';
+    }
+
+    if (filter.isRecentlySold?.value) {
+        return 'sold';
+    }
+
+    if (filter.isForSaleByOwner?.value) {
+        return 'fsbo';
+    }
+
+    return 'sale';
+};
+
+/**
+ * @param {GetSearchPageState} result
+ * @param {'cat1' | 'cat2'} category
+ */
+const getResultZpids = (result, category) => {
+    const { listResults = [], mapResults = [] } = result?.[category]?.searchResults ?? {};
+
+    return [...listResults, ...mapResults]
+        .map(({ zpid }) => `${zpid}`)
+        .filter((zpid) => /^\d+$/.test(zpid));
+};
+
+/**
+ * Keeps track of every query-state tile that was searched, so the
+ * completeness of the scrape can be reported at the end of the run
+ */
+const createCoverage = async () => {
+    /** @type {CoverageState} */
+    const state = (await Apify.getValue('COVERAGE_STATE')) || { tiles: {}, splits: [] };
+    const splits = new Set(state.splits);
+
+    return {
+        /**
+         * Record the results of a GetSearchPageState request
+         *
+         * @param {SearchQueryState & { category?: string }} queryState
+         * @param {'cat1' | 'cat2'} category
+         * @param {GetSearchPageState} result
+         * @param {PriceRange} [priceRange]
+         */
+        add(queryState, category, result, priceRange) {
+            if (!queryState?.mapBounds) {
+                return;
+            }
+
+            const key = fns.getUniqueKeyFromQueryState({ ...queryState, pagination: {} }, [category]);
+            const tile = state.tiles[key] ?? {
+                mapBounds: queryState.mapBounds,
+                mapZoom: queryState.mapZoom,
+                category,
+                listingType: getListingType(queryState.filterState),
+                priceRange,
+                totalResultCount: 0,
+                zpids: [],
+            };
+
+            tile.totalResultCount = Math.max(
+                tile.totalResultCount,
+                result?.categoryTotals?.[category]?.totalResultCount ?? 0,
+            );
+            tile.zpids = [...new Set([...tile.zpids, ...getResultZpids(result, category)])];
+
+            state.tiles[key] = tile;
+        },
+        /**
+         * Mark the area as split, the children tiles cover it
+         *
+         * @param {SearchQueryState} queryState
+         * @param {PriceRange} [priceRange]
+         */
+        markSplit(queryState, priceRange) {
+            splits.add(getAreaKey(queryState, priceRange));
+        },
+        async persist() {
+            await Apify.setValue('COVERAGE_STATE', {
+                tiles: state.tiles,
+                splits: [...splits],
+            });
+        },
+        /**
+         * Tiles that weren't split but reported more results than collected
+         * are truncated, the difference is counted as missed listings.
+         */
+        getReport() {
+            const collected = new Set();
+            let truncatedTiles = 0;
+            let estimatedMissing = 0;
+
+            const tiles = Object.values(state.tiles).map((tile) => {
+                const split = splits.has(getAreaKey(tile, tile.priceRange));
+                const truncated = !split && tile.totalResultCount > tile.zpids.length;
+
+                tile.zpids.forEach((zpid) => collected.add(zpid));
+
+                if (truncated) {
+                    truncatedTiles++;
+                    estimatedMissing += tile.totalResultCount - tile.zpids.length;
+                }
+
+                return {
+                    mapBounds: tile.mapBounds,
+                    mapZoom: tile.mapZoom,
+                    category: tile.category,
+                    listingType: tile.listingType,
+                    priceRange: tile.priceRange,
+                    totalResultCount: tile.totalResultCount,
+                    zpidsCollected: tile.zpids.length,
+                    split,
+                    truncated,
+                };
+            });
+
+            return {
+                summary: {
+                    tiles: tiles.length,
+                    truncatedTiles,
+                    zpidsCollected: collected.size,
+                    estimatedMissing,
+                },
+                tiles,
+            };
+        },
+    };
+};
+
+module.exports = {
+    createCoverage,
+};
@@ -0,0 +1,162 @@
+const Apify = require('apify');
+const ExcelJS = require('exceljs');
+
+const { log } = Apify.utils;
+
+const EXPORT_FORMATS = {
+    csv: {
+        key: 'EXPORT-CSV',
+        contentType: 'text/csv',
+    },
+    geojson: {
+        key: 'EXPORT-GEOJSON',
+        contentType: 'application/geo+json',
+    },
+    xlsx: {
+        key: 'EXPORT-XLSX',
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    },
+};
+
+/**
+ * Flattens nested objects to dot separated keys, like `address.city`.
+ * Arrays of plain values are joined, arrays of objects are kept as JSON
+ *
+ * @param {any} value
+ * @param {string} [prefix]
+ * @param {Record<string, any>} [out]
+ * @returns {Record<string, string | number | boolean | null>}
+ */
+const flattenItem = (value, prefix = '', out = {}) => {
+    if (Array.isArray(value)) {
+        out[prefix] = value.some((item) => item && typeof item === 'object')
+            ? JSON.stringify(value)
+            : value.join(' | ');
+    } else if (value && typeof value === 'object') {
+        for (const [key, nested] of Object.entries(value)) {
+            flattenItem(nested, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (prefix) {
+        out[prefix] = value ?? null;
+    }
+
+    return out;
+};
+
+/**
+ * @param {any} value
+ */
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = `${value}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {string[]} columns
+ * @param {Array<Record<string, any>>} rows
+ */
+const toCsv = (columns, rows) => [
+    columns.map(escapeCsv).join(','),
+    ...rows.map((row) => columns.map((column) => escapeCsv(row[column])).join(',')),
+].join('\r\n');
+
+/**
+ * Coordinates from the full, simple or normalized output
+ *
+ * @param {any} item
+ * @returns {[number, number] | null}
+ */
+const getCoordinates = (item) => {
+    const lng = item.longitude ?? item.lng;
+    const lat = item.latitude ?? item.lat;
+
+    return typeof lng === 'number' && typeof lat === 'number' ? [lng, lat] : null;
+};
+
+/**
+ * @param {string[]} columns
+ * @param {Array<Record<string, any>>} rows
+ * @param {any[]} items
+ */
+const toGeoJson = (columns, rows, items) => ({
+    type: 'FeatureCollection',
+    features: items.reduce((features, item, index) => {
+        const coordinates = getCoordinates(item);
+
+        if (coordinates) {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates },
+                properties: Object.fromEntries(columns.map((column) => [column, rows[index][column] ?? null])),
+            });
+        }
+
+        return features;
+    }, /** @type {any[]} */ ([])),
+});
+
+/**
+ * @param {string[]} columns
+ * @param {Array<Record<string, any>>} rows
+ */
+const toXlsx = async (columns, rows) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Listings');
+
+    sheet.columns = columns.map((column) => ({ header: column, key: column }));
+    sheet.addRows(rows);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Writes the dataset items to the key-value store as files
+ *
+ * @param {{ exportFormats?: string[], exportColumns?: string[] }} input
+ */
+const exportDataset = async ({ exportFormats = [], exportColumns = [] }) => {
+    const formats = exportFormats.filter((format) => format in EXPORT_FORMATS);
+
+    if (!formats.length) {
+        return;
+    }
+
+    const dataset = await Apify.openDataset();
+    /** @type {any[]} */
+    const items = [];
+
+    await dataset.forEach(async (item) => {
+        items.push(item);
+    });
+
+    const rows = items.map((item) => flattenItem(item));
+    // all the flattened keys, in the order they were found
+    const columns = exportColumns.length
+        ? exportColumns
+        : [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+    for (const format of formats) {
+        const { key, contentType } = EXPORT_FORMATS[/** @type {keyof EXPORT_FORMATS} */ (format)];
+
+        if (format === 'csv') {
+            await Apify.setValue(key, toCsv(columns, rows), { contentType });
+        } else if (format === 'geojson') {
+            await Apify.setValue(key, JSON.stringify(toGeoJson(columns, rows, items)), { contentType });
+        } else if (format === 'xlsx') {
+            await Apify.setValue(key, await toXlsx(columns, rows), { contentType });
+        }
+
+        log.info(`Exported ${items.length} items to the ${key} record`);
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    flattenItem,
+    exportDataset,
+};
@@ -0,0 +1,180 @@
+const Apify = require('apify');
+
+const { LABELS, ORIGIN } = require('./constants');
+
+const { log } = Apify.utils;
+
+/**
+ * @typedef {{
+ *   zpid: string | null,
+ *   url: string,
+ *   label: string | null,
+ *   reason: string,
+ *   errors: string[],
+ *   retryCount: number,
+ *   proxySession: string | null,
+ *   runId: string,
+ *   failedAt: string,
+ * }} FailedRecord
+ */
+
+/**
+ * @param {string | number} zpid
+ * @param {string} [detailUrl]
+ */
+const getDetailUrl = (zpid, detailUrl) => new URL(detailUrl || `/homedetails/${zpid}_zpid/`, ORIGIN).toString();
+
+/**
+ * Zpids and URLs that couldn't be scraped, pushed to a named dataset with
+ * the errors, so the missing listings can be reconciled and retried.
+ * The zpids of a failed `ZPIDS` request get a record each
+ *
+ * @param {{ failedDatasetName?: string }} input
+ * @param {Set<string>} zpids Output zpids
+ */
+const createFailedDataset = async (input, zpids) => {
+    const dataset = await Apify.openDataset(input.failedDatasetName || 'FAILED');
+    // local runs get their own ID, so the retry can tell them apart
+    const runId = Apify.getEnv().actorRunId ?? `local-${Date.now()}`;
+
+    /**
+     * @param {Apify.Request} request
+     * @param {Apify.Session | undefined} session
+     * @param {Pick<FailedRecord, 'zpid' | 'url' | 'reason'>} record
+     * @param {string[]} [errors] Errors of every attempt
+     * @returns {FailedRecord}
+     */
+    const getRecord = (request, session, { zpid, url, reason }, errors = request.errorMessages) => ({
+        zpid,
+        url,
+        label: request.userData.label ?? null,
+        reason,
+        // the error messages of the request have the stack trace
+        errors: errors?.length ? errors.map((error) => error.split('\n')[0].replace(/^Error: /, '')) : [reason],
+        retryCount: request.retryCount,
+        proxySession: session?.id ?? null,
+        runId,
+        failedAt: new Date().toISOString(),
+    });
+
+    return {
+        /**
+         * Called from the `handleFailedRequestFunction`
+         *
+         * @param {{ request: Apify.Request, error: Error, session?: Apify.Session }} context
+         */
+        async requestFailed({ request, error, session }) {
+            const { label } = request.userData;
+
+            if (label === LABELS.ZPIDS || label === LABELS.ENRICHED_ZPIDS) {
+                const records = [].concat(request.userData.zpids ?? [])
+                    .map((/** @type {any} */ result) => (typeof result === 'object' ? result : { zpid: result }))
+                    .filter(({ zpid }) => zpid && !zpids.has(`${zpid}`))
+                    .map(({ zpid, detailUrl }) => getRecord(request, session, {
+                        zpid: `${zpid}`,
+                        url: getDetailUrl(zpid, detailUrl),
+                        reason: error.message,
+                    }));
+
+                if (records.length) {
+                    await dataset.pushData(records);
+                }
+
+                return;
+            }
+
+            const { zpid } = request.userData;
+
+            if (zpid && zpids.has(`${zpid}`)) {
+                return;
+            }
+
+            await dataset.pushData(getRecord(request, session, {
+                zpid: zpid ? `${zpid}` : null,
+                url: request.url,
+                reason: error.message,
+            }));
+        },
+        /**
+         * The zpid was dropped without failing the request, unless it was output by another request
+         *
+         * @param {{ request: Apify.Request, session?: Apify.Session }} context
+         * @param {{ zpid: any, detailUrl?: string, reason: string }} dropped
+         */
+        async dropped({ request, session }, { zpid, detailUrl, reason }) {
+            if (zpid && zpids.has(`${zpid}`)) {
+                return;
+            }
+
+            await dataset.pushData(getRecord(request, session, {
+                zpid: zpid ? `${zpid}` : null,
+                url: detailUrl ? getDetailUrl(zpid, detailUrl) : request.url,
+                reason,
+            }, [reason]));
+        },
+    };
+};
+
+/**
+ * Zpids and start URLs of the records of one run in a failed dataset,
+ * for retrying them. The named dataset keeps the records of every run,
+ * so only the last run is retried, unless the `runId` is given.
+ * The initial and search requests can't be retried by themselves,
+ * the run needs the same input instead
+ *
+ * @param {string} nameOrId
+ * @param {string} [runId]
+ * @returns {Promise<{ zpids: string[], startUrls: Array<{ url: string }> }>}
+ */
+const getRetryInput = async (nameOrId, runId) => {
+    const dataset = await Apify.openDataset(nameOrId);
+    /** @type {Map<string, FailedRecord[]>} */
+    const runs = new Map();
+    /** @type {string | undefined} */
+    let lastRunId;
+
+    await dataset.forEach(async (/** @type {FailedRecord} */ record) => {
+        const key = `${record.runId}`;
+
+        if (!runs.has(key)) {
+            runs.set(key, []);
+        }
+
+        runs.get(key)?.push(record);
+        // records are appended, the last run added the last ones
+        lastRunId = key;
+    });
+
+    const retriedRunId = runId ?? lastRunId;
+    /** @type {Set<string>} */
+    const zpids = new Set();
+    /** @type {Set<string>} */
+    const urls = new Set();
+    let skipped = 0;
+
+    for (const record of runs.get(`${retriedRunId}`) ?? []) {
+        if (record.zpid && /^\d+$/.test(record.zpid)) {
+            zpids.add(record.zpid);
+        } else if (record.label === LABELS.QUERY || record.label === LABELS.DETAIL) {
+            urls.add(record.url);
+        } else {
+            skipped++;
+        }
+    }
+
+    log.info(`Retrying ${zpids.size} zpids and ${urls.size} URLs of the run "${retriedRunId}" from the failed dataset "${nameOrId}"`);
+
+    if (skipped) {
+        log.warning(`${skipped} failed initial or search requests can't be retried, run with the same search input instead`);
+    }
+
+    return {
+        zpids: [...zpids],
+        startUrls: [...urls].map((url) => ({ url })),
+    };
+};
+
+module.exports = {
+    createFailedDataset,
+    getRetryInput,
+};
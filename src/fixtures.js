@@ -0,0 +1,209 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Apify = require('apify');
+
+const fns = require('./functions');
+
+const { log } = Apify.utils;
+
+/**
+ * @typedef {'search' | 'graphql' | 'page'} FixtureKind
+ *
+ * @typedef {{
+ *   url: string,
+ *   status: number,
+ *   contentType: string,
+ *   body: string,
+ * }} Fixture
+ */
+
+/**
+ * Fixtures are looked up by the request parameters, the random
+ * `requestId` and the origin are not part of the key
+ *
+ * @param {{ qs: any, wants: any }} params
+ */
+const getSearchKey = ({ qs, wants }) => fns.quickHash([qs, wants]);
+
+/**
+ * @param {string} url
+ */
+const getPageKey = (url) => {
+    const { pathname, search } = new URL(url, 'https://www.zillow.com');
+
+    return fns.quickHash([pathname, search]);
+};
+
+/**
+ * @param {string} dir
+ * @param {FixtureKind} kind
+ * @param {string} key
+ */
+const getFixturePath = (dir, kind, key) => path.join(dir, kind, `${key}.json`);
+
+/**
+ * @param {string} dir
+ * @param {FixtureKind} kind
+ * @param {string} key
+ * @returns {Promise<Fixture | null>}
+ */
+const readFixture = async (dir, kind, key) => {
+    try {
+        return JSON.parse(await fs.promises.readFile(getFixturePath(dir, kind, key), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Saves the search state, GraphQL and page responses to the fixtures
+ * directory, so they can be served later by the mock server
+ *
+ * @param {string} dir
+ */
+const createFixtureRecorder = (dir) => {
+    /**
+     * @param {FixtureKind} kind
+     * @param {string} key
+     * @param {Fixture} fixture
+     */
+    const record = async (kind, key, fixture) => {
+        await fs.promises.mkdir(path.join(dir, kind), { recursive: true });
+        await fs.promises.writeFile(getFixturePath(dir, kind, key), JSON.stringify(fixture));
+    };
+
+    return {
+        /**
+         * Records the results of `queryRegionHomes` and `evaluateQueryZpid`,
+         * everything else is passed to the page as it is
+         *
+         * @template {{ evaluate: Function }} T
+         * @param {T} page Puppeteer page or the browserless stand-in
+         * @returns {T}
+         */
+        wrapPage(page) {
+            /**
+             * @param {Function} fn
+             * @param {any} params
+             */
+            const evaluate = async (fn, params) => {
+                const result = await page.evaluate(fn, params);
+
+                if (fn === fns.queryRegionHomes) {
+                    await record('search', getSearchKey(params), {
+                        url: result.url,
+                        status: result.status,
+                        contentType: 'application/json',
+                        body: result.body,
+                    });
+                } else if (fn === fns.evaluateQueryZpid) {
+                    await record('graphql', `${params.zpid}`, {
+                        url: `/graphql/?zpid=${params.zpid}`,
+                        status: 200,
+                        contentType: 'application/json',
+                        body: result,
+                    });
+                }
+
+                return result;
+            };
+
+            return fns.withPageEvaluate(page, evaluate);
+        },
+        /**
+         * @param {string} url
+         * @param {string} html
+         */
+        async recordPage(url, html) {
+            await record('page', getPageKey(url), {
+                url,
+                status: 200,
+                contentType: 'text/html',
+                body: html,
+            });
+        },
+        /**
+         * The queryId of the recording, used by the replay instead of a browser
+         *
+         * @param {{ queryId: string, clientVersion: string }} query
+         */
+        async saveQuery({ queryId, clientVersion }) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(path.join(dir, 'query.json'), JSON.stringify({ queryId, clientVersion }));
+        },
+    };
+};
+
+/**
+ * Local stand-in for zillow.com that serves the recorded fixtures.
+ * Missing fixtures are answered with 404
+ *
+ * @param {string} dir
+ */
+const startMockServer = async (dir) => {
+    /** @type {{ queryId: string, clientVersion: string }} */
+    const query = JSON.parse(await fs.promises.readFile(path.join(dir, 'query.json'), 'utf8'));
+
+    /**
+     * @param {URL} url
+     * @param {string | undefined} method
+     * @returns {Promise<Fixture | null>}
+     */
+    const findFixture = async (url, method) => {
+        if (url.pathname === '/search/GetSearchPageState.htm') {
+            return readFixture(dir, 'search', getSearchKey({
+                qs: JSON.parse(url.searchParams.get('searchQueryState') || '{}'),
+                wants: JSON.parse(url.searchParams.get('wants') || '{}'),
+            }));
+        }
+
+        if (method === 'POST' && /^\/graphql\/?$/.test(url.pathname)) {
+            return readFixture(dir, 'graphql', `${url.searchParams.get('zpid')}`);
+        }
+
+        return readFixture(dir, 'page', getPageKey(url.toString()));
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url ?? '/', 'http://localhost');
+        // the request body isn't needed, the keys are in the URL
+        req.resume();
+
+        try {
+            const fixture = await findFixture(url, req.method);
+
+            if (!fixture) {
+                log.warning(`Missing fixture for ${req.method} ${url.pathname}${url.search}`);
+                res.writeHead(404, { 'content-type': 'text/plain' });
+                res.end('Missing fixture');
+                return;
+            }
+
+            res.writeHead(fixture.status, { 'content-type': fixture.contentType });
+            res.end(fixture.body);
+        } catch (/** @type {any} */ e) {
+            res.writeHead(500, { 'content-type': 'text/plain' });
+            res.end(e.message);
+        }
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+
+    const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+
+    log.info(`Replaying the fixtures from ${dir} on port ${port}`);
+
+    return {
+        origin: `http://127.0.0.1:${port}`,
+        query,
+        async close() {
+            await new Promise((resolve) => server.close(() => resolve(undefined)));
+        },
+    };
+};
+
+module.exports = {
+    createFixtureRecorder,
+    startMockServer,
+};
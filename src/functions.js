@@ -3,11 +3,34 @@ const moment = require('moment');
 const Puppeteer = require('puppeteer'); // eslint-disable-line no-unused-vars
 const { createHash } = require('crypto');
 const vm = require('vm');
-const { bboxPolygon, bbox, area, squareGrid } = require('@turf/turf');
+const {
+    bboxPolygon,
+    bbox,
+    feature,
+    featureCollection,
+    flatten,
+    point,
+    booleanIntersects,
+    booleanPointInPolygon,
+} = require('@turf/turf');
 const { gotScraping } = require('got-scraping');
-const { LABELS, TYPES, ORIGIN, GetSearchPageState, SearchQueryState } = require('./constants'); // eslint-disable-line no-unused-vars
-
-const { log, sleep } = Apify.utils;
+const {
+    LABELS,
+    ORIGIN,
+    POLYGON_GRID_SIZE,
+    MAX_ZOOM,
+    PRICE_BANDS,
+    RANGE_FILTERS,
+    HOME_TYPES,
+    QUERY_ID_NOT_FOUND,
+    GetSearchPageState, // eslint-disable-line no-unused-vars
+    SearchQueryState, // eslint-disable-line no-unused-vars
+    MapBounds, // eslint-disable-line no-unused-vars
+    Input, // eslint-disable-line no-unused-vars
+    PriceRange, // eslint-disable-line no-unused-vars
+} = require('./constants');
+
+const { log } = Apify.utils;
 
 const mappings = {
     att: 'keywords',
@@ -112,6 +135,118 @@ const translateFilterToQs = (filter) => {
     }, {});
 };
 
+/**
+ * The input range filters. Without a rent range, the price
+ * range is the monthly rent when only rentals are scraped
+ *
+ * @param {Input} input
+ * @returns {Array<[string, { min?: string, max?: string, attribute: string }]>}
+ */
+const getRangeFilters = (input) => Object.entries(RANGE_FILTERS).map(([name, range]) => {
+    if (name === 'monthlyPayment' && input.type === 'rent'
+        && typeof input.minRent !== 'number' && typeof input.maxRent !== 'number') {
+        return [name, RANGE_FILTERS.price];
+    }
+
+    return [name, range];
+});
+
+/**
+ * Translates the structured input filters into a filterState,
+ * using the same naming as translateQsToFilter
+ *
+ * @param {Input} input
+ * @returns {Record<string, any>}
+ */
+const getInputFilterState = (input) => {
+    /** @type {Record<string, any>} */
+    const filterState = {};
+
+    for (const [name, { min, max }] of getRangeFilters(input)) {
+        /** @type {Record<string, number>} */
+        const range = {};
+
+        if (min && typeof input[min] === 'number') {
+            range.min = input[min];
+        }
+
+        if (max && typeof input[max] === 'number') {
+            range.max = input[max];
+        }
+
+        if (Object.keys(range).length) {
+            filterState[name] = range;
+        }
+    }
+
+    if (typeof input.includeHomesWithNoHoa === 'boolean') {
+        filterState.includeHomesWithNoHoaData = { value: input.includeHomesWithNoHoa };
+    }
+
+    if (input.homeTypes?.length) {
+        for (const [homeType, { filter }] of Object.entries(HOME_TYPES)) {
+            filterState[filter] = { value: input.homeTypes.includes(homeType) };
+        }
+    }
+
+    return filterState;
+};
+
+/**
+ * @param {Record<string, any>} filterState Either in QS or filter format
+ */
+const isRentFilterState = (filterState) => !!(filterState?.isForRent?.value ?? filterState?.fr?.value);
+
+/**
+ * Merge the input filters into a filterState. Rentals are filtered
+ * by the monthly payment range, the other listings by the price range.
+ *
+ * @param {Record<string, any>} filterState
+ * @param {Record<string, any>} inputFilterState
+ */
+const mergeInputFilterState = (filterState, inputFilterState) => {
+    const { price, monthlyPayment, ...rest } = inputFilterState ?? {};
+    const isRent = isRentFilterState(filterState);
+    const range = isRent ? monthlyPayment : price;
+
+    return {
+        ...filterState,
+        ...rest,
+        ...(range ? { [isRent ? 'monthlyPayment' : 'price']: range } : {}),
+    };
+};
+
+/**
+ * Checks the property against the input filters. Missing attributes
+ * aren't filtered, since they can't be compared
+ *
+ * @param {Record<string, any>} data
+ * @param {Input} input
+ */
+const matchesInputFilters = (data, input) => {
+    const isRent = data?.homeStatus === 'FOR_RENT';
+
+    for (const [name, { min, max, attribute }] of getRangeFilters(input)) {
+        const value = data?.[attribute];
+
+        // rentals are checked against the rent range, the others against the price range
+        if (typeof value !== 'number' || (name === 'price' && isRent) || (name === 'monthlyPayment' && !isRent)) {
+            continue; // eslint-disable-line no-continue
+        }
+
+        if ((min && typeof input[min] === 'number' && value < input[min])
+            || (max && typeof input[max] === 'number' && value > input[max])) {
+            return false;
+        }
+    }
+
+    if (input.homeTypes?.length && data?.homeType) {
+        return input.homeTypes.some((homeType) => HOME_TYPES[homeType]?.homeType === data.homeType);
+    }
+
+    return true;
+};
+
 /**
  * @param {Record<string,any>} input
  */
@@ -219,55 +354,185 @@ const changeHandlePageTimeout = (crawler, handlePageTimeoutSecs) => {
 };
 
 /**
- * Intercept home data API request and extract it's QueryID
+ * queryIds seen in the GraphQL traffic of each page
+ *
+ * @type {WeakMap<Puppeteer.Page, { queryId?: string, clientVersion?: string }>}
+ */
+const queryIdTraffic = new WeakMap();
+
+/**
+ * Find the queryId and clientVersion in a script or page source
+ *
+ * @param {string} text
+ * @returns {{ queryId?: string, clientVersion?: string }}
+ */
+const matchQueryId = (text) => {
+    const queryId = [
+        /ForSaleDoubleScrollFullRenderQuery:"([^"]+)"/,
+        /"ForSaleDoubleScrollFullRenderQuery"\s*:\s*"([^"]+)"/,
+        /operationName["']?\s*:\s*["']ForSaleDoubleScrollFullRenderQuery["'][\s\S]{0,500}?queryId["']?\s*:\s*["']([^"']+)["']/,
+        /queryId["']?\s*:\s*["']([^"']+)["'][\s\S]{0,500}?operationName["']?\s*:\s*["']ForSaleDoubleScrollFullRenderQuery["']/,
+    ].map((regex) => text.match(regex)?.[1]).find(Boolean);
+
+    return {
+        queryId,
+        clientVersion: text.match(/clientVersion["']?\s*:\s*["']([^"']+)["']/)?.[1],
+    };
+};
+
+/**
+ * Starts listening to the GraphQL requests made by the page itself.
+ * Needs to be called before the navigation
+ *
  * @param {Puppeteer.Page} page
- * @param {Apify.ProxyInfo} proxy
  */
-const interceptQueryId = async (page, proxy) => {
-    await page.waitForFunction(() => {
-        return [...document.scripts].some((s) => s.src.includes('variants-'));
-    });
+const interceptQueryIdTraffic = (page) => {
+    /** @type {{ queryId?: string, clientVersion?: string }} */
+    const found = {};
 
-    const src = await page.evaluate(async () => {
-        return [...document.scripts].find((s) => s.src.includes('variants-'))?.src;
+    queryIdTraffic.set(page, found);
+
+    page.on('request', (req) => {
+        try {
+            if (!req.url().includes('/graphql') || !req.url().includes('ForSaleDoubleScrollFullRenderQuery')) {
+                return;
+            }
+
+            const url = new URL(req.url());
+            const postData = JSON.parse(req.postData() || '{}');
+
+            found.queryId = postData.queryId || url.searchParams.get('queryId') || found.queryId;
+            found.clientVersion = postData.clientVersion || found.clientVersion;
+        } catch (/** @type {any} */ e) {
+            log.debug(`interceptQueryIdTraffic error ${e.message}`);
+        }
     });
+};
 
-    try {
-        if (!src) {
-            throw new Error('src is missing');
+/**
+ * Download the scripts and look for the queryId inside them,
+ * the `variants-` bundle usually has it, so it's tried first
+ *
+ * @param {string[]} srcs
+ * @param {string} [proxyUrl]
+ * @returns {Promise<{ queryId?: string, clientVersion?: string }>}
+ */
+const fetchQueryIdFromScripts = async (srcs, proxyUrl) => {
+    const sorted = [...new Set(srcs)]
+        .filter((src) => /^https?:/.test(src) && src.includes('zillow'))
+        .sort((a, b) => +b.includes('variants-') - +a.includes('variants-'))
+        .slice(0, 15);
+
+    /** @type {{ queryId?: string, clientVersion?: string }} */
+    const found = {};
+
+    for (const src of sorted) {
+        try {
+            const response = await gotScraping({
+                url: src,
+                proxyUrl,
+                responseType: 'text',
+            });
+
+            if (![200, 304, 301, 302].includes(response.statusCode)) {
+                throw new Error(`Status code ${response.statusCode}`);
+            }
+
+            const { queryId, clientVersion } = matchQueryId(response.body);
+
+            found.queryId = found.queryId || queryId;
+            found.clientVersion = found.clientVersion || clientVersion;
+
+            if (found.queryId && found.clientVersion) {
+                break;
+            }
+        } catch (/** @type {any} */ e) {
+            log.debug(`fetchQueryIdFromScripts error ${e.message}`, { src });
         }
+    }
+
+    return found;
+};
+
+/**
+ * Try the strategies in order, until both queryId and clientVersion
+ * are found. They can come from different strategies
+ *
+ * @param {Array<[string, () => Promise<{ queryId?: string, clientVersion?: string }>]>} strategies
+ * @returns {Promise<{ queryId: string, clientVersion: string }>}
+ */
+const discoverQueryId = async (strategies) => {
+    /** @type {{ queryId?: string, clientVersion?: string }} */
+    const found = {};
 
-        const response = await gotScraping({
-            url: src,
-            proxyUrl: proxy.url,
-            responseType: 'text',
-        });
+    for (const [name, strategy] of strategies) {
+        try {
+            const { queryId, clientVersion } = await strategy();
+
+            if (queryId && !found.queryId) {
+                log.debug(`Found queryId using ${name}`, { queryId });
+            }
 
-        if (!response) {
-            throw new Error('Response is empty');
+            found.queryId = found.queryId || queryId;
+            found.clientVersion = found.clientVersion || clientVersion;
+        } catch (/** @type {any} */ e) {
+            log.debug(`discoverQueryId ${name} error ${e.message}`);
         }
 
-        if (![200, 304, 301, 302].includes(response.statusCode)) {
-            throw new Error(`Status code ${response.statusCode}`);
+        if (found.queryId && found.clientVersion) {
+            return /** @type {{ queryId: string, clientVersion: string }} */ (found);
         }
+    }
 
-        const scriptContent = response.body;
+    throw new Error(QUERY_ID_NOT_FOUND);
+};
 
-        return {
-            queryId: scriptContent.match(/ForSaleDoubleScrollFullRenderQuery:"([^"]+)"/)?.[1],
-            clientVersion: scriptContent.match(/clientVersion:"([^"]+)"/)?.[1],
-        };
+/**
+ * Intercept home data API request and extract it's QueryID.
+ * Checks the GraphQL traffic, the page state and the loaded scripts
+ *
+ * @param {Puppeteer.Page} page
+ * @param {Apify.ProxyInfo} proxy
+ */
+const interceptQueryId = async (page, proxy) => {
+    try {
+        await page.waitForFunction(() => {
+            return [...document.scripts].some((s) => s.src.includes('variants-'));
+        }, { timeout: 30000 });
     } catch (e) {
-        log.debug(`interceptQueryId error ${e.message}`, { src });
-
-        throw new Error('Failed to get queryId');
+        log.debug('No variants script found, trying the other scripts');
     }
+
+    return discoverQueryId([
+        ['traffic', async () => queryIdTraffic.get(page) ?? {}],
+        ['page state', async () => matchQueryId(await page.evaluate(() => {
+            return [...document.scripts].filter((s) => !s.src).map((s) => s.innerHTML).join('\n');
+        }))],
+        ['scripts', async () => fetchQueryIdFromScripts(
+            await page.evaluate(() => [...document.scripts].map((s) => s.src)),
+            proxy?.url,
+        )],
+    ]);
+};
+
+/**
+ * The response from GraphQL errors out or doesn't contain the
+ * expected shape, usually means the queryId is outdated
+ *
+ * @param {any} response Parsed GraphQL response
+ */
+const isQueryIdError = (response) => {
+    return !!response?.errors?.length
+        || !response?.data
+        || !('property' in response.data);
 };
 
 /**
- * Split map into many areas according to zoom
+ * Split map into four quadrants, zooming in one level.
+ * Returns an empty array when the map can't be zoomed in anymore
+ *
  * @param {SearchQueryState} queryState
- * @returns {Array<queryState>}
+ * @returns {Array<SearchQueryState>}
  */
 const splitQueryState = (queryState) => {
     if (typeof queryState !== 'object') {
@@ -282,41 +547,189 @@ const splitQueryState = (queryState) => {
         return [queryState];
     }
 
+    const mapZoom = qs.mapZoom ?? getZoomForBounds(mb);
+
+    if (mapZoom >= MAX_ZOOM) {
+        log.debug('Max zoom reached, map cannot be split further', { mapBounds: mb });
+        return [];
+    }
+
+    const lng = (mb.west + mb.east) / 2;
+    const lat = (mb.south + mb.north) / 2;
+
+    return [
+        { west: mb.west, east: lng, south: mb.south, north: lat },
+        { west: lng, east: mb.east, south: mb.south, north: lat },
+        { west: mb.west, east: lng, south: lat, north: mb.north },
+        { west: lng, east: mb.east, south: lat, north: mb.north },
+    ].map((mapBounds) => ({
+        ...qs,
+        mapBounds,
+        mapZoom: mapZoom + 1,
+    }));
+};
+
+/**
+ * Split a price range in two. Open ended ranges are split at a starting
+ * price that doubles on each level, up to the ceiling, closed ones in the middle.
+ * Returns an empty array when the range is too narrow to be split,
+ * or when it's open ended above the ceiling
+ *
+ * @param {PriceRange} [priceRange]
+ * @param {boolean} [isRent] Rentals are filtered by monthly payment
+ * @returns {PriceRange[]}
+ */
+const splitPriceRange = (priceRange = {}, isRent = false) => {
+    const { start, ceiling, narrowest } = PRICE_BANDS[isRent ? 'rent' : 'sale'];
+    const min = priceRange.min ?? 0;
+    const { max } = priceRange;
+
+    if (max === undefined) {
+        if (min >= ceiling) {
+            return [];
+        }
+
+        const pivot = Math.min(Math.max(min * 2, start), ceiling);
+
+        return [{ min, max: pivot }, { min: pivot + 1 }];
+    }
+
+    if (max - min <= narrowest) {
+        return [];
+    }
+
+    const pivot = Math.floor((min + max) / 2);
+
+    return [{ min, max: pivot }, { min: pivot + 1, max }];
+};
+
+/**
+ * Approximate the map zoom that fits the given bounds on a desktop viewport
+ *
+ * @param {MapBounds} mapBounds
+ */
+const getZoomForBounds = (mapBounds) => {
+    const span = Math.max(
+        Math.abs(mapBounds.east - mapBounds.west),
+        Math.abs(mapBounds.north - mapBounds.south),
+    );
+
+    if (!span) {
+        return MAX_ZOOM;
+    }
+
+    return Math.min(MAX_ZOOM, Math.max(3, Math.floor(Math.log2(1440 / span))));
+};
+
+/**
+ * Normalize the GeoJSON input (geometries, features or feature collections)
+ * into a flat list of polygon features
+ *
+ * @param {any} geojson
+ * @returns {Array<ReturnType<typeof feature>>}
+ */
+const getPolygonFeatures = (geojson) => {
+    if (!geojson) {
+        return [];
+    }
+
+    /** @type {any[]} */
+    const features = [];
+
+    for (const item of [].concat(geojson)) {
+        if (!item || typeof item !== 'object') {
+            throw new Error(`Invalid GeoJSON provided: ${JSON.stringify(item)}`);
+        }
+
+        if (item.type === 'FeatureCollection') {
+            features.push(...(item.features ?? []));
+        } else if (item.type === 'Feature') {
+            features.push(item);
+        } else {
+            features.push(feature(item));
+        }
+    }
+
+    return flatten(featureCollection(features)).features.map((polygon) => {
+        if (polygon.geometry?.type !== 'Polygon') {
+            throw new Error(`Only Polygon and MultiPolygon GeoJSON geometries are supported, got "${polygon.geometry?.type}"`);
+        }
+
+        return polygon;
+    });
+};
+
+/**
+ * @param {MapBounds} mapBounds
+ * @param {Array<ReturnType<typeof feature>>} polygons
+ */
+const boundsIntersectPolygons = (mapBounds, polygons) => {
+    if (!polygons?.length) {
+        return true;
+    }
+
     const box = bboxPolygon([
-        mb.west,
-        mb.south,
-        mb.east,
-        mb.north,
+        mapBounds.west,
+        mapBounds.south,
+        mapBounds.east,
+        mapBounds.north,
     ]);
 
-    /**
-     * @type {Array<queryState>}
-     */
-    const states = [];
+    return polygons.some((polygon) => booleanIntersects(box, polygon));
+};
 
-    const isBigAreaToCover = !qs.mapZoom || qs.mapZoom < 10;
-    const a = (Math.sqrt(area(box)) / (isBigAreaToCover ? 1000 : 1)) / 4;
-    const grid = squareGrid(bbox(box), a, {
-        units: isBigAreaToCover ? 'kilometers' : 'meters',
-    });
+/**
+ * Listings without coordinates are kept, they can't be checked
+ *
+ * @param {{ latitude?: number, longitude?: number }} coords
+ * @param {Array<ReturnType<typeof feature>>} polygons
+ */
+const isInsidePolygons = ({ latitude, longitude }, polygons) => {
+    if (!polygons?.length || typeof latitude !== 'number' || typeof longitude !== 'number') {
+        return true;
+    }
 
-    grid.features.forEach(({ geometry }) => {
-        const b = bbox(geometry);
+    const location = point([longitude, latitude]);
 
-        states.push({
-            ...qs,
-            mapBounds: {
-                west: b[0],
-                south: b[1],
-                east: b[2],
-                north: b[3],
-            },
-            // eslint-disable-next-line no-nested-ternary
-            mapZoom: qs.mapZoom
-                ? (qs.mapZoom < 19 ? qs.mapZoom + 1 : qs.mapZoom)
-                : 9,
-        });
-    });
+    return polygons.some((polygon) => booleanPointInPolygon(location, polygon));
+};
+
+/**
+ * Cover each polygon bounding box with a grid of tiles, keeping
+ * only the tiles that touch the polygon
+ *
+ * @param {Array<ReturnType<typeof feature>>} polygons
+ * @returns {SearchQueryState[]}
+ */
+const getPolygonQueryStates = (polygons) => {
+    /** @type {SearchQueryState[]} */
+    const states = [];
+
+    for (const polygon of polygons) {
+        const [west, south, east, north] = bbox(polygon);
+        const lngStep = (east - west) / POLYGON_GRID_SIZE;
+        const latStep = (north - south) / POLYGON_GRID_SIZE;
+
+        for (let x = 0; x < POLYGON_GRID_SIZE; x++) {
+            for (let y = 0; y < POLYGON_GRID_SIZE; y++) {
+                const mapBounds = {
+                    west: west + lngStep * x,
+                    east: west + lngStep * (x + 1),
+                    south: south + latStep * y,
+                    north: south + latStep * (y + 1),
+                };
+
+                if (boundsIntersectPolygons(mapBounds, [polygon])) {
+                    states.push({
+                        pagination: {},
+                        mapBounds,
+                        mapZoom: getZoomForBounds(mapBounds),
+                        filterState: {},
+                    });
+                }
+            }
+        }
+    }
 
     return states;
 };
@@ -325,10 +738,11 @@ const splitQueryState = (queryState) => {
  * N.B: This should be only used for GetSearchPageState.htm requests!
  *
  * @param {SearchQueryState['filterState']} filterState
- * @param {keyof TYPES} type
+ * @param {keyof import('./constants')['TYPES']} type
+ * @param {Record<string, any>} [inputFilterState] Filters from input, merged into each filter state
  * @returns filter states
  */
-const getQueryFilterStates = (filterState, type) => {
+const getQueryFilterStates = (filterState, type, inputFilterState = {}) => {
     /**
      * Filter state must follow the exact format corresponding
      * to the Zillow API. False values cannot be ommited and
@@ -382,7 +796,7 @@ const getQueryFilterStates = (filterState, type) => {
         ...typeFilters.rent,
     );
 
-    return typeFilters[type];
+    return typeFilters[type].map((state) => mergeInputFilterState(state, inputFilterState));
 };
 
 /**
@@ -411,6 +825,7 @@ const queryRegionHomes = async (params) => {
         qs,
         url,
         params,
+        status: resp.status,
         error: resp.status !== 200 ? `Got ${resp.status} from query` : null,
     };
 
@@ -423,18 +838,19 @@ const queryRegionHomes = async (params) => {
 /**
  *
  * @param {boolean} ignoreFilter
- * @param {keyof TYPES} inputType
+ * @param {keyof import('./constants')['TYPES']} inputType
  * @param {Puppeteer.Page} page
  * @param {SearchQueryState} pageQueryState
  * @param {number} paginationPage
  * @param {(param: { cat: 'cat1' | 'cat2', qs: SearchQueryState, url: string, hash: string, result: GetSearchPageState }) => Promise<void>} cb
+ * @param {Record<string, any>} inputFilterState
  */
-const extractQueryStates = async (ignoreFilter, inputType, page, pageQueryState, cb, paginationPage = 1) => {
+const extractQueryStates = async (ignoreFilter, inputType, page, pageQueryState, cb, paginationPage = 1, inputFilterState = {}) => {
     const queryStates = new Set();
 
     const type = ignoreFilter ? 'qs' : inputType;
 
-    const filterStates = getQueryFilterStates(translateQsToFilter(pageQueryState.filterState), type);
+    const filterStates = getQueryFilterStates(translateQsToFilter(pageQueryState.filterState), type, inputFilterState);
 
     /** @type {Array<['cat1' | 'cat2', any]>} */
     const configs = [
@@ -542,6 +958,140 @@ const evaluateQueryZpid = async ({ zpid, queryId, clientVersion }) => {
     return (await resp.blob()).text();
 };
 
+/**
+ * @typedef {{
+ *   session: Apify.Session,
+ *   proxyUrl?: string,
+ *   userAgent?: string,
+ *   origin?: string,
+ *   onResponse?: (response: any) => void,
+ * }} HttpOptions
+ */
+
+/**
+ * Request from Node using got-scraping and the session cookies,
+ * the same way the browser would do it. With an `origin`, the
+ * Zillow URLs are requested from there instead, like the replay server
+ *
+ * @param {string} url
+ * @param {HttpOptions} http
+ * @param {Record<string, any>} [options]
+ */
+const httpRequest = async (url, { session, proxyUrl, userAgent, origin, onResponse }, options = {}) => {
+    const { pathname, search } = new URL(url);
+
+    const response = await gotScraping({
+        url: origin ? new URL(`${pathname}${search}`, origin).toString() : url,
+        proxyUrl,
+        responseType: 'text',
+        throwHttpErrors: false,
+        ...options,
+        headers: {
+            ...(userAgent ? { 'user-agent': userAgent } : {}),
+            cookie: session.getCookieString(url),
+            ...options.headers,
+        },
+    });
+
+    session.setCookiesFromResponse(response);
+    onResponse?.(response);
+
+    return response;
+};
+
+/**
+ * Node counterpart of queryRegionHomes for the browserless mode
+ *
+ * @param {{
+ *  qs: SearchQueryState,
+ *  wants: Record<string, any>
+ * }} params
+ * @param {HttpOptions} http
+ */
+const fetchRegionHomes = async (params, http) => {
+    const { qs, wants } = params;
+
+    const url = `https://www.zillow.com/search/GetSearchPageState.htm?searchQueryState=${encodeURIComponent(JSON.stringify(qs))}&wants=${encodeURIComponent(JSON.stringify(wants))}&requestId=${Math.floor(Math.random() * 10) + 1}`;
+    const resp = await httpRequest(url, http, {
+        headers: {
+            accept: '*/*',
+        },
+        followRedirect: false,
+    });
+
+    return {
+        qs,
+        url,
+        params,
+        status: resp.statusCode,
+        error: resp.statusCode !== 200 ? `Got ${resp.statusCode} from query` : null,
+        body: resp.body,
+    };
+};
+
+/**
+ * Node counterpart of evaluateQueryZpid for the browserless mode
+ *
+ * @param {{ zpid: any, queryId: any, clientVersion: any }} requestParams
+ * @param {HttpOptions} http
+ */
+const fetchQueryZpid = async ({ zpid, queryId, clientVersion }, http) => {
+    zpid = +zpid || zpid;
+
+    const body = JSON.stringify({
+        operationName: 'ForSaleDoubleScrollFullRenderQuery',
+        variables: {
+            zpid,
+            contactFormRenderParameter: {
+                zpid,
+                platform: 'desktop',
+                isDoubleScroll: true,
+            },
+        },
+        clientVersion,
+        queryId,
+    });
+
+    const resp = await httpRequest(`https://www.zillow.com/graphql/?zpid=${zpid}&contactFormRenderParameter=&queryId=${queryId}&operationName=ForSaleDoubleScrollFullRenderQuery`, http, {
+        method: 'POST',
+        body,
+        headers: {
+            dnt: '1',
+            accept: '*/*',
+            'content-type': 'text/plain',
+            origin: 'https://www.zillow.com',
+            pragma: 'no-cache',
+            referer: ORIGIN,
+        },
+    });
+
+    if (resp.statusCode !== 200) {
+        throw new Error(`Got status ${resp.statusCode} from GraphQL`);
+    }
+
+    return resp.body;
+};
+
+/**
+ * Page with the `evaluate` replaced, everything else is passed to the page
+ *
+ * @template {{ evaluate: Function }} T
+ * @param {T} page Puppeteer page or the browserless stand-in
+ * @param {(fn: Function, params: any) => Promise<any>} evaluate
+ * @returns {T}
+ */
+const withPageEvaluate = (page, evaluate) => new Proxy(page, {
+    get(target, prop) {
+        if (prop === 'evaluate') {
+            return evaluate;
+        }
+
+        const value = Reflect.get(target, prop);
+
+        return typeof value === 'function' ? value.bind(target) : value;
+    },
+});
+
 /**
  * Make API query for home data by ZPID. Needs to be initialized from createInterceptQueryId
  *
@@ -555,33 +1105,112 @@ const createQueryZpid = (queryId, clientVersion) => (page, zpid) => {
 };
 
 /**
- * Simplify received home data
+ * Parses paths like `address.zipcode` or `priceHistory[].price`
  *
- * @param {Record<string, boolean>} attributes
+ * @param {string} path
+ * @returns {Array<{ key: string, isArray: boolean }>}
  */
-const createGetSimpleResult = (attributes) => (/** @type {any} */ data) => {
-    /**
-     * @type {Record<string, any>}
-     */
-    const result = {};
+const parseFieldPath = (path) => path.split('.').map((segment) => ({
+    key: segment.replace(/\[\]$/, ''),
+    isArray: segment.endsWith('[]'),
+}));
 
-    if (!data) {
-        return result;
+/**
+ * Copies the value at the path from the source to the target,
+ * keeping the same nesting
+ *
+ * @param {any} source
+ * @param {ReturnType<typeof parseFieldPath>} segments
+ * @param {Record<string, any>} target
+ * @returns {Record<string, any>}
+ */
+const pickFieldPath = (source, segments, target = {}) => {
+    const [{ key, isArray }, ...rest] = segments;
+
+    if (!source || typeof source !== 'object' || !(key in source)) {
+        return target;
     }
 
-    Object.keys(attributes).forEach((key) => {
-        if (key in data) { result[key] = data[key]; }
-    });
+    const value = source[key];
 
-    if (result.hdpUrl) {
-        result.url = `https://www.zillow.com${result.hdpUrl}`;
-        delete result.hdpUrl;
-    }
-    if (result.responsivePhotos) {
-        result.photos = result.responsivePhotos.map((/** @type {{ url: String }} */ hp) => hp.url);
-        delete result.responsivePhotos;
+    if (isArray && Array.isArray(value)) {
+        const current = Array.isArray(target[key]) ? target[key] : [];
+
+        target[key] = value.map((item, index) => (rest.length
+            ? pickFieldPath(item, rest, current[index])
+            : item));
+    } else if (rest.length && value && typeof value === 'object') {
+        target[key] = pickFieldPath(value, rest, target[key]);
+    } else if (!rest.length || value === null) {
+        target[key] = value;
     }
-    return result;
+
+    return target;
+};
+
+/**
+ * Simplify received home data to the selected attribute paths
+ *
+ * @param {string[] | Record<string, boolean>} fields
+ */
+const createGetSimpleResult = (fields) => {
+    const paths = Array.isArray(fields)
+        ? fields
+        : Object.keys(fields).filter((key) => fields[key]);
+
+    const segments = paths.map(parseFieldPath);
+
+    return (/** @type {any} */ data) => {
+        /**
+         * @type {Record<string, any>}
+         */
+        const result = {};
+
+        if (!data) {
+            return result;
+        }
+
+        segments.forEach((path) => pickFieldPath(data, path, result));
+
+        if (paths.includes('hdpUrl') && result.hdpUrl) {
+            result.url = `https://www.zillow.com${result.hdpUrl}`;
+            delete result.hdpUrl;
+        }
+        if (paths.includes('responsivePhotos') && result.responsivePhotos) {
+            result.photos = result.responsivePhotos.map((/** @type {{ url: String }} */ hp) => hp.url);
+            delete result.responsivePhotos;
+        }
+        return result;
+    };
+};
+
+/**
+ * Lightweight listing from the list or map results of a search,
+ * using the same attribute names as the full property data
+ *
+ * @param {Record<string, any>} searchResult
+ */
+const getSearchResultItem = (searchResult) => {
+    const homeInfo = searchResult.hdpData?.homeInfo ?? {};
+
+    return {
+        zpid: `${searchResult.zpid}`,
+        price: searchResult.unformattedPrice ?? homeInfo.price ?? null,
+        address: {
+            streetAddress: searchResult.addressStreet ?? homeInfo.streetAddress ?? null,
+            city: searchResult.addressCity ?? homeInfo.city ?? null,
+            state: searchResult.addressState ?? homeInfo.state ?? null,
+            zipcode: searchResult.addressZipcode ?? homeInfo.zipcode ?? null,
+        },
+        latitude: searchResult.latLong?.latitude ?? homeInfo.latitude ?? null,
+        longitude: searchResult.latLong?.longitude ?? homeInfo.longitude ?? null,
+        homeStatus: homeInfo.homeStatus ?? searchResult.statusType ?? null,
+        // only used for filtering by type
+        keystoneHomeStatus: homeInfo.listing_sub_type?.is_FSBO ? 'ForSaleByOwner' : undefined,
+        detailUrl: searchResult.detailUrl
+            ? new URL(searchResult.detailUrl, ORIGIN).toString()
+            : null,
+    };
 };
 
 /**
@@ -635,6 +1264,8 @@ const getUrlData = (url) => {
  * @param {string[]} nonce
  */
 const getUniqueKeyFromQueryState = (queryState, nonce = []) => {
+    const filterState = queryState.filterState ?? {};
+
     return quickHash([
         queryState.mapZoom,
         [
@@ -644,7 +1275,9 @@ const getUniqueKeyFromQueryState = (queryState, nonce = []) => {
             queryState.mapBounds.south,
         ],
         queryState.pagination?.currentPage || 1,
-        Object.keys(queryState.filterState ?? {}).sort(),
+        Object.keys(filterState).sort(),
+        // tiles split by price only differ in the price ranges
+        [filterState.price, filterState.mp ?? filterState.monthlyPayment].map((range) => [range?.min, range?.max]),
         nonce,
     ]);
 };
@@ -839,6 +1472,10 @@ const patchLog = (crawler) => {
 };
 
 /**
+ * Kept for the extend functions, the `budget` helper is preferred.
+ * The budget commits to the same `zpids`, so this is `budget.isFull()`
+ * when `extra` is 0
+ *
  * @param {{
  *  zpids: Set<any>,
  *  input: { maxItems: Number},
@@ -854,8 +1491,20 @@ const isOverItems = ({ zpids, input }, extra = 0) => {
 
 module.exports = {
     createGetSimpleResult,
+    getSearchResultItem,
     createQueryZpid,
+    withPageEvaluate,
+    queryRegionHomes,
+    evaluateQueryZpid,
+    httpRequest,
+    fetchRegionHomes,
+    fetchQueryZpid,
     interceptQueryId,
+    interceptQueryIdTraffic,
+    matchQueryId,
+    fetchQueryIdFromScripts,
+    discoverQueryId,
+    isQueryIdError,
     extractQueryStates,
     splitQueryState,
     extendFunction,
@@ -869,4 +1518,14 @@ module.exports = {
     isOverItems,
     translateFilterToQs,
     getUniqueKeyFromQueryState,
+    getInputFilterState,
+    mergeInputFilterState,
+    matchesInputFilters,
+    isRentFilterState,
+    splitPriceRange,
+    translateQsToFilter,
+    getPolygonFeatures,
+    getPolygonQueryStates,
+    boundsIntersectPolygons,
+    isInsidePolygons,
 };
@@ -0,0 +1,158 @@
+const Apify = require('apify');
+
+const { HISTORY_SHARDS } = require('./constants');
+
+/**
+ * @typedef {{
+ *   zpid: string,
+ *   date: string | null,
+ *   eventType: string | null,
+ *   price: number | null,
+ *   source: string | null,
+ *   priceChangeRate: number | null,
+ * }} HistoryRow
+ */
+
+/**
+ * @param {any} value
+ * @returns {number | null}
+ */
+const toNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Zillow has the time in milliseconds, and sometimes a date string
+ *
+ * @param {{ time?: number, date?: string }} event
+ * @returns {string | null}
+ */
+const getEventDate = ({ time, date }) => {
+    const parsed = new Date(time ?? date ?? NaN);
+
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+/**
+ * @param {any} data
+ * @returns {HistoryRow[]}
+ */
+const getPriceHistoryRows = (data) => [].concat(data.priceHistory ?? [])
+    .filter(Boolean)
+    .map((/** @type {any} */ event) => ({
+        zpid: `${data.zpid}`,
+        date: getEventDate(event),
+        eventType: event.event ?? null,
+        price: toNumber(event.price),
+        source: event.source ?? null,
+        priceChangeRate: toNumber(event.priceChangeRate),
+    }));
+
+/**
+ * @param {any} data
+ * @returns {Array<HistoryRow & { taxPaid: number | null, taxIncreaseRate: number | null }>}
+ */
+const getTaxHistoryRows = (data) => [].concat(data.taxHistory ?? [])
+    .filter(Boolean)
+    .map((/** @type {any} */ event) => ({
+        zpid: `${data.zpid}`,
+        date: getEventDate(event),
+        eventType: 'Tax assessment',
+        price: toNumber(event.value),
+        source: event.source ?? null,
+        priceChangeRate: toNumber(event.valueIncreaseRate),
+        taxPaid: toNumber(event.taxPaid),
+        taxIncreaseRate: toNumber(event.taxIncreaseRate),
+    }));
+
+/**
+ * @param {string} zpid
+ */
+const getShardKey = (zpid) => `PUSHED-${(+zpid || 0) % HISTORY_SHARDS}`;
+
+/**
+ * Price and tax history events as rows of separate named datasets,
+ * with the zpid of the listing in every row. The rows pushed by
+ * the previous runs are indexed by zpid, date and event in a named
+ * key-value store, so each event is only pushed once
+ *
+ * @param {{ priceHistoryDatasetName?: string, taxHistoryDatasetName?: string, historyStoreName?: string }} input
+ */
+const createHistoryDatasets = async (input) => {
+    const priceHistory = await Apify.openDataset(input.priceHistoryDatasetName || 'zillow-price-history');
+    const taxHistory = await Apify.openDataset(input.taxHistoryDatasetName || 'zillow-tax-history');
+    const store = await Apify.openKeyValueStore(input.historyStoreName || 'zillow-history');
+
+    /** @type {Record<string, Record<string, string[]>>} */
+    const shards = {};
+    /** @type {Set<string>} */
+    const changedShards = new Set();
+
+    for (let i = 0; i < HISTORY_SHARDS; i++) {
+        shards[`PUSHED-${i}`] = (await store.getValue(`PUSHED-${i}`)) || {};
+    }
+
+    /**
+     * Rows that weren't pushed yet, they are indexed as pushed
+     *
+     * @template {HistoryRow} T
+     * @param {string} zpid
+     * @param {'price' | 'tax'} kind
+     * @param {T[]} rows
+     * @returns {T[]}
+     */
+    const getNewRows = (zpid, kind, rows) => {
+        const shardKey = getShardKey(zpid);
+        const pushed = new Set(shards[shardKey][zpid]);
+
+        const newRows = rows.filter(({ date, eventType }) => {
+            const key = `${kind}|${date}|${eventType}`;
+
+            if (pushed.has(key)) {
+                return false;
+            }
+
+            pushed.add(key);
+            return true;
+        });
+
+        if (newRows.length) {
+            shards[shardKey][zpid] = [...pushed];
+            changedShards.add(shardKey);
+        }
+
+        return newRows;
+    };
+
+    return {
+        /**
+         * @param {any} data Property data
+         */
+        async push(data) {
+            const zpid = `${data.zpid}`;
+            const priceRows = getNewRows(zpid, 'price', getPriceHistoryRows(data));
+            const taxRows = getNewRows(zpid, 'tax', getTaxHistoryRows(data));
+
+            if (priceRows.length) {
+                await priceHistory.pushData(priceRows);
+            }
+
+            if (taxRows.length) {
+                await taxHistory.pushData(taxRows);
+            }
+        },
+        /**
+         * Saves the index of the pushed rows
+         */
+        async persist() {
+            const keys = [...changedShards];
+            changedShards.clear();
+
+            for (const key of keys) {
+                await store.setValue(key, shards[key]);
+            }
+        },
+    };
+};
+
+module.exports = {
+    createHistoryDatasets,
+};
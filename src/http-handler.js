@@ -0,0 +1,172 @@
+const Apify = require('apify');
+
+/* eslint-disable no-unused-vars */
+const {
+    SearchQueryState,
+    GetSearchPageState,
+} = require('./constants');
+/* eslint-enable no-unused-vars */
+
+const { PageHandler } = require('./page-handler');
+const fns = require('./functions');
+
+/**
+ * Minimal stand-in for the Puppeteer page, the functions that would
+ * be evaluated inside the browser are requested from Node instead
+ *
+ * @param {string} url
+ * @param {fns.HttpOptions} http
+ */
+const createHttpPage = (url, http) => ({
+    url: () => url,
+    /**
+     * @param {Function} fn
+     * @param {any} params
+     */
+    async evaluate(fn, params) {
+        if (fn === fns.queryRegionHomes) {
+            return fns.fetchRegionHomes(params, http);
+        }
+
+        if (fn === fns.evaluateQueryZpid) {
+            return fns.fetchQueryZpid(params, http);
+        }
+
+        throw new Error('Only search state and GraphQL requests are available in browserless mode');
+    },
+});
+
+/**
+ * @param {string} html
+ * @param {RegExp} regex Must be global with one capture group
+ */
+const matchAll = (html, regex) => [...html.matchAll(regex)].map(([, match]) => match);
+
+/**
+ * PageHandler for the browserless mode, pages are plain HTML
+ * requests that reuse the cookies and queryId from the browser
+ */
+class HttpHandler extends PageHandler {
+    /**
+     * @param {ConstructorParameters<typeof PageHandler>[0]} context
+     * @param {ConstructorParameters<typeof PageHandler>[1]} globalContext
+     * @param {ConstructorParameters<typeof PageHandler>[2]} extendOutputFunction
+     * @param {fns.HttpOptions} http
+     */
+    constructor(context, globalContext, extendOutputFunction, http) {
+        super({
+            ...context,
+            page: /** @type {any} */ (createHttpPage(context.request.url, http)),
+        }, globalContext, extendOutputFunction);
+
+        this.http = http;
+        this.html = '';
+    }
+
+    /**
+     * There's no page load to intercept
+     */
+    async getResponse() {
+        return null;
+    }
+
+    /**
+     * Loads the HTML of the request
+     */
+    async loadPage() {
+        const { request, session } = this.context;
+
+        const response = await fns.httpRequest(request.url, this.http, {
+            headers: {
+                accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            },
+        });
+
+        if (response.statusCode === 403) {
+            session.retire();
+            throw new Error('Request blocked, retrying...');
+        }
+
+        if (response.statusCode === 404) {
+            request.noRetry = true;
+        }
+
+        if (response.statusCode !== 200) {
+            throw new Error(`Got status ${response.statusCode} from ${request.url}`);
+        }
+
+        this.html = response.body;
+        // the replay server isn't the page address
+        this.context.page = this._wrapPage(/** @type {any} */ (createHttpPage(this.http.origin ? request.url : response.url, this.http)));
+    }
+
+    async _getPageContent() {
+        return this.html;
+    }
+
+    async checkForCaptcha() {
+        const { session } = this.context;
+
+        if (this.html.includes('captcha-container')) {
+            this.globalContext.stats.addCaptcha();
+            session.retire();
+            throw new Error('Captcha found when searching, retrying...');
+        }
+    }
+
+    /**
+     * Without a browser, there's no GraphQL traffic to intercept,
+     * only the page state and the scripts from the HTML
+     */
+    async _discoverQueryId() {
+        return fns.discoverQueryId([
+            ['page state', async () => fns.matchQueryId(
+                matchAll(this.html, /<script(?![^>]*\ssrc=)[^>]*>([\s\S]*?)<\/script>/g).join('\n'),
+            )],
+            ['scripts', async () => fns.fetchQueryIdFromScripts(
+                matchAll(this.html, /<script[^>]+src="([^"]+)"/g),
+                this.http.proxyUrl,
+            )],
+        ]);
+    }
+
+    /**
+     * Keeps the cookies from the browser
+     *
+     * @param {string} queryId
+     * @param {string} clientVersion
+     */
+    async _getSavedQuery(queryId, clientVersion) {
+        return {
+            ...(/** @type {any} */ (await Apify.getValue('QUERY'))),
+            queryId,
+            clientVersion,
+        };
+    }
+
+    /**
+     * @returns {Promise<{ queryState: SearchQueryState } & GetSearchPageState>}
+     */
+    async _getPageQs() {
+        const [pageQs] = matchAll(this.html, /<script[^>]+data-zrr-shared-data-key="mobileSearchPageStore"[^>]*>([\s\S]*?)<\/script>/g);
+        const slicedPageQs = pageQs ? pageQs.slice(4, -3) : '';
+
+        return slicedPageQs ? JSON.parse(slicedPageQs) : {};
+    }
+
+    async _getNextData() {
+        const [nextData] = matchAll(this.html, /<script[^>]+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/g);
+
+        return nextData ? JSON.parse(nextData) : null;
+    }
+
+    async _getPreloadedDataScripts() {
+        return matchAll(this.html, /<script[^>]*>([\s\S]*?)<\/script>/g)
+            .filter((script) => script.includes('RenderQuery') && script.includes('apiCache'));
+    }
+}
+
+module.exports = {
+    HttpHandler,
+    createHttpPage,
+};
@@ -0,0 +1,138 @@
+const { EventEmitter } = require('events');
+
+const INPUT_SCHEMA = require('../INPUT_SCHEMA.json');
+
+/**
+ * Listings buffered while the consumer isn't pulling,
+ * the scrape waits for the buffer to go under it
+ */
+const ITEMS_HIGH_WATER_MARK = 100;
+
+/**
+ * @typedef {import('./run').Progress} Progress
+ *
+ * @typedef {EventEmitter & AsyncIterable<Record<string, any>>} Scrape
+ */
+
+/**
+ * The input with only the INPUT_SCHEMA defaults
+ *
+ * @returns {Record<string, any>}
+ */
+const getDefaultInput = () => Object.fromEntries(Object.entries(INPUT_SCHEMA.properties)
+    .filter(([, property]) => property.default !== undefined)
+    .map(([key, property]) => [key, property.default]));
+
+/**
+ * Scrapes Zillow with the same options as the actor input, the missing
+ * ones get the INPUT_SCHEMA defaults. The listings are yielded as they are
+ * scraped, and a `progress` event is emitted after each handled request.
+ * The scrape is paused while the loop doesn't pull the buffered listings.
+ * Breaking out of the loop aborts the scrape.
+ *
+ * The Apify storages are used as in the actor, so set `APIFY_LOCAL_STORAGE_DIR`
+ * before requiring the `apify` package, and run one scrape at a time per directory
+ *
+ * @example
+ *  const scrape = scrapeZillow({ search: 'Austin, TX', type: 'sold', maxItems: 100 });
+ *  scrape.on('progress', ({ listings }) => console.log(`${listings} listings`));
+ *
+ *  for await (const listing of scrape) {
+ *      // ...
+ *  }
+ *
+ * @param {Record<string, any>} options
+ * @returns {Scrape}
+ */
+const scrapeZillow = (options) => {
+    const { run } = require('./run'); // eslint-disable-line global-require
+
+    const events = new EventEmitter();
+    const controller = new AbortController();
+
+    /** @type {Array<Record<string, any>>} */
+    const items = [];
+    /** @type {(() => void) | null} */
+    let wake = null;
+    /** @type {Array<() => void>} */
+    let drainListeners = [];
+    let isDone = false;
+    /** @type {Error | null} */
+    let error = null;
+
+    const notify = () => {
+        wake?.();
+        wake = null;
+    };
+
+    const waitForItems = () => new Promise((resolve) => {
+        wake = () => resolve(undefined);
+    });
+
+    const drain = () => {
+        drainListeners.forEach((listener) => listener());
+        drainListeners = [];
+    };
+
+    const waitForDrain = () => new Promise((resolve) => {
+        drainListeners.push(() => resolve(undefined));
+    });
+
+    const running = run({ ...getDefaultInput(), ...options }, {
+        onItem: async (item) => {
+            items.push(item);
+            notify();
+
+            while (items.length >= ITEMS_HIGH_WATER_MARK && !controller.signal.aborted) {
+                await waitForDrain();
+            }
+        },
+        onProgress: (progress) => {
+            events.emit('progress', progress);
+        },
+        signal: controller.signal,
+    }).catch((/** @type {Error} */ e) => {
+        error = e;
+    }).finally(() => {
+        isDone = true;
+        notify();
+    });
+
+    async function* iterate() {
+        try {
+            while (items.length || !isDone) {
+                if (items.length) {
+                    const item = /** @type {Record<string, any>} */ (items.shift());
+
+                    if (items.length < ITEMS_HIGH_WATER_MARK) {
+                        drain();
+                    }
+
+                    yield item;
+                } else {
+                    await waitForItems();
+                }
+            }
+
+            if (error) {
+                throw error;
+            }
+        } finally {
+            if (!isDone) {
+                // stopped iterating before the end
+                controller.abort();
+                drain();
+                await running;
+            }
+        }
+    }
+
+    return Object.assign(events, {
+        [Symbol.asyncIterator]: iterate,
+    });
+};
+
+module.exports = {
+    scrapeZillow,
+    getDefaultInput,
+};
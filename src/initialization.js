@@ -1,29 +1,96 @@
 const Apify = require('apify');
-const { TYPES, LABELS, ORIGIN, Input } = require('./constants');
+const { TYPES, LABELS, ORIGIN, RANGE_FILTERS, HOME_TYPES, OUTPUT_FIELDS, Input } = require('./constants');
 
 const fns = require('./functions');
+const { normalizeProperty } = require('./normalize');
+const { EXPORT_FORMATS } = require('./export');
+const { PHOTO_FORMATS } = require('./photos');
+const { parseDatabaseUrl } = require('./database');
 
 const { utils: { log } } = Apify;
 
 const {
     getUrlData,
     extendFunction,
-    isOverItems,
-    // eslint-disable-next-line no-unused-vars
     createGetSimpleResult,
 } = fns;
 
 /**
  * Throws error if the provided input is invalid.
- * @param {{ search: String, startUrls: any[], zpids: any[], zipcodes: any[] }} input
+ * @param {Input & { search: String, startUrls: any[], zpids: any[], zipcodes: any[], polygons: any[] }} input
  */
 const validateInput = (input) => {
-    if (!(input.search && input.search.trim().length > 0)
+    if (!input.serverMode
+        && !(input.search && input.search.trim().length > 0)
         && !(input.startUrls?.length)
         && !(input.zpids?.length)
         && !(input.zipcodes?.length)
+        && !(input.polygons?.length)
+        && !input.retryFailedDataset
     ) {
-        throw new Error('Either "search", "startUrls", "zipcodes" or "zpids" attribute has to be set!');
+        throw new Error('Either "search", "startUrls", "zipcodes", "polygons", "zpids" or "retryFailedDataset" attribute has to be set!');
+    }
+
+    if (input.watchlist && !input.zpids?.length) {
+        throw new Error('"zpids" need to be provided for the watchlist mode');
+    }
+
+    const invalidWebhooks = [].concat(input.webhooks ?? [])
+        .filter((/** @type {any} */ webhook) => !/^https?:\/\//.test(typeof webhook === 'string' ? webhook : webhook?.url));
+
+    if (invalidWebhooks.length) {
+        throw new Error('Every webhook needs an http or https "url"');
+    }
+
+    if (input.databaseUrl) {
+        // throws on unsupported databases
+        parseDatabaseUrl(input.databaseUrl);
+    }
+
+    if (input.polygons) {
+        // throws on invalid GeoJSON
+        fns.getPolygonFeatures(input.polygons);
+    }
+
+    for (const { min, max } of Object.values(RANGE_FILTERS)) {
+        if (min && max && typeof input[min] === 'number' && typeof input[max] === 'number' && input[min] > input[max]) {
+            throw new Error(`"${min}" needs to be less than "${max}"`);
+        }
+    }
+
+    const invalidHomeTypes = [].concat(input.homeTypes ?? []).filter((homeType) => !(homeType in HOME_TYPES));
+
+    if (invalidHomeTypes.length) {
+        throw new Error(`Invalid home types provided: ${invalidHomeTypes.join(', ')}`);
+    }
+
+    if (input.fixtureMode && !['off', 'record', 'replay'].includes(input.fixtureMode)) {
+        throw new Error(`Invalid fixture mode "${input.fixtureMode}"`);
+    }
+
+    if (input.outputFormat && !['fields', 'normalized'].includes(input.outputFormat)) {
+        throw new Error(`Invalid output format "${input.outputFormat}"`);
+    }
+
+    const invalidExportFormats = [].concat(input.exportFormats ?? []).filter((format) => !(format in EXPORT_FORMATS));
+
+    if (invalidExportFormats.length) {
+        throw new Error(`Invalid export formats provided: ${invalidExportFormats.join(', ')}`);
+    }
+
+    if (input.photoFormat && !(input.photoFormat in PHOTO_FORMATS)) {
+        throw new Error(`Invalid photo format "${input.photoFormat}"`);
+    }
+
+    if (input.outputFields !== undefined && !Array.isArray(input.outputFields)) {
+        throw new Error('"outputFields" needs to be an array of attribute paths');
+    }
+
+    const invalidOutputFields = [].concat(input.outputFields ?? [])
+        .filter((path) => typeof path !== 'string' || !/^\w+(\[\])?(\.\w+(\[\])?)*$/.test(path));
+
+    if (invalidOutputFields.length) {
+        throw new Error(`Invalid output fields provided: ${invalidOutputFields.join(', ')}`);
     }
 };
 
@@ -61,7 +128,11 @@ const cleanUpUrl = (url) => {
  * @param {Apify.RequestQueue} rq
  */
 const getInitializedStartUrls = (input, rq) => async () => {
-    if (input.search?.trim()) {
+    if (input.watchlist) {
+        log.info(`Watchlist mode, only the ${input.zpids?.length} zpids will be scraped`);
+    }
+
+    if (input.search?.trim() && !input.watchlist) {
         const term = input.search.trim();
 
         await rq.addRequest({
@@ -74,7 +145,7 @@ const getInitializedStartUrls = (input, rq) => async () => {
         });
     }
 
-    if (input.startUrls?.length) {
+    if (input.startUrls?.length && !input.watchlist) {
         if (input.type) {
             log.warning(`Input type "${input.type}" will be ignored as the value is derived from start url.
              Check if your start urls match the desired home status.`);
@@ -122,7 +193,7 @@ const getInitializedStartUrls = (input, rq) => async () => {
         });
     }
 
-    if (input.zipcodes?.length) {
+    if (input.zipcodes?.length && !input.watchlist) {
         log.info(`Trying to add ${input.zipcodes.length} zipcodes`);
         let count = 0;
 
@@ -150,8 +221,45 @@ const getInitializedStartUrls = (input, rq) => async () => {
 
         log.info(`Added ${count} zipcodes`);
     }
+
+    if (input.polygons?.length && !input.watchlist) {
+        const queryStates = fns.getPolygonQueryStates(fns.getPolygonFeatures(input.polygons));
+        let count = 0;
+
+        for (const searchQueryState of queryStates) {
+            const url = new URL('/homes/', ORIGIN);
+            url.searchParams.set('searchQueryState', JSON.stringify(searchQueryState));
+
+            const result = await rq.addRequest({
+                url: url.toString(),
+                uniqueKey: fns.getUniqueKeyFromQueryState(searchQueryState),
+                userData: {
+                    label: LABELS.QUERY,
+                    searchQueryState,
+                },
+            });
+
+            if (!result.wasAlreadyPresent) {
+                count++;
+            }
+        }
+
+        log.info(`Added ${count} polygon tiles`);
+    }
 };
 
+/**
+ * Browser launch options, shared by the crawler and the server mode
+ *
+ * @param {{ debugLog: boolean }} input
+ */
+const getLaunchOptions = (input) => ({
+    bypassCSP: true,
+    ignoreHTTPSErrors: true,
+    devtools: input.debugLog,
+    headless: false,
+});
+
 /**
  *
  * @param {{ debugLog: boolean, handlePageTimeoutSecs: any}} input
@@ -161,10 +269,7 @@ const initializePreLaunchHooks = (input) => {
     return [async (/** @type {any} */ _pageId, /** @type {{ launchOptions: any; }} */ launchContext) => {
         launchContext.launchOptions = {
             ...launchContext.launchOptions,
-            bypassCSP: true,
-            ignoreHTTPSErrors: true,
-            devtools: input.debugLog,
-            headless: false,
+            ...getLaunchOptions(input),
         };
     }];
 };
@@ -173,6 +278,16 @@ const initializePreLaunchHooks = (input) => {
  *
  * @param {{
  *  zpids: Set<any>,
+ *  budget: ReturnType<typeof import('./budget').createItemBudget>,
+ *  stats: ReturnType<typeof import('./stats').createRunStats>,
+ *  polygons: any[],
+ *  snapshot: Awaited<ReturnType<typeof import('./snapshot').createSnapshot>> | null,
+ *  history: Awaited<ReturnType<typeof import('./history').createHistoryDatasets>> | null,
+ *  photos: Awaited<ReturnType<typeof import('./photos').createPhotoDownloader>> | null,
+ *  watchlist: Awaited<ReturnType<typeof import('./watchlist').createWatchlist>> | null,
+ *  webhooks: Awaited<ReturnType<typeof import('./webhooks').createWebhooks>> | null,
+ *  database: Awaited<ReturnType<typeof import('./database').createDatabaseSink>> | null,
+ *  onItem?: (item: Record<string, any>) => Promise<void> | void,
  *  input: {
  *      maxItems: Number,
  *      startUrls: Array<Apify.RequestOptions>,
@@ -180,26 +295,51 @@ const initializePreLaunchHooks = (input) => {
  *  },
  * }} globalContext
  * @param {*} minMaxDate
- * @param {ReturnType<createGetSimpleResult>} getSimpleResult
+ * @param {(data: any) => Record<string, any>} getSimpleResult
  * @returns
  */
-const getExtendOutputFunction = async ({ zpids, input }, minMaxDate, getSimpleResult) => {
+const getExtendOutputFunction = async ({ zpids, budget, stats, input, polygons, snapshot, history, photos, watchlist, webhooks, database, onItem }, minMaxDate, getSimpleResult) => {
     const extendOutputFunction = await extendFunction({
         map: async (data) => getSimpleResult(data),
         filter: async ({ data }, { request }) => {
-                            
-            if (isOverItems({ zpids, input })) {
+            /**
+             * @param {string} reason Key in the `filteredOut` of the RUN_STATS record
+             */
+            const filterOut = (reason) => {
+                stats.addFilteredOut(reason);
                 return false;
+            };
+
+            if (budget.isFull()) {
+                return filterOut('maxItems');
             }
 
             if (!data?.zpid) {
-                return false;
+                return filterOut('missingZpid');
             }
 
-            if (!minMaxDate.compare(data.datePosted) || zpids.has(`${data.zpid}`)) {
+            if (zpids.has(`${data.zpid}`)) {
+                stats.addDeduped();
                 return false;
             }
 
+            if (watchlist) {
+                // watched listings are kept regardless of their status
+                return true;
+            }
+
+            if (!minMaxDate.compare(data.datePosted)) {
+                return filterOut('datePosted');
+            }
+
+            if (!fns.isInsidePolygons(data, polygons)) {
+                return filterOut('outsidePolygon');
+            }
+
+            if (!fns.matchesInputFilters(data, input)) {
+                return filterOut('inputFilters');
+            }
+
             if (request.userData.ignoreFilter === true) {
                 // ignore input.type when it is set in start url
                 return true;
@@ -207,22 +347,40 @@ const getExtendOutputFunction = async ({ zpids, input }, minMaxDate, getSimpleRe
 
             switch (input.type) {
                 case 'sale':
-                    return data.homeStatus === 'FOR_SALE';
+                    return data.homeStatus === 'FOR_SALE' || filterOut('type');
                 case 'fsbo':
-                    return data.homeStatus === 'FOR_SALE' && data.keystoneHomeStatus === 'ForSaleByOwner';
+                    return (data.homeStatus === 'FOR_SALE' && data.keystoneHomeStatus === 'ForSaleByOwner') || filterOut('type');
                 case 'rent':
-                    return data.homeStatus === 'FOR_RENT';
+                    return data.homeStatus === 'FOR_RENT' || filterOut('type');
                 case 'sold':
-                    return data.homeStatus?.includes('SOLD');
+                    return !!data.homeStatus?.includes('SOLD') || filterOut('type');
                 case 'all':
                 default:
                     return true;
             }
         },
         output: async (output, { data }) => {
-            if (data.zpid && !isOverItems({ zpids, input })) {
-                zpids.add(`${data.zpid}`);
-                await Apify.pushData(output);
+            if (data.zpid && budget.commit(data.zpid)) {
+                await watchlist?.update(data);
+
+                // unchanged listings are not output in change detection mode
+                const change = snapshot ? snapshot.compare(data) : {};
+
+                if (!change) {
+                    return;
+                }
+
+                const item = {
+                    ...output,
+                    ...(photos ? await photos.download(data) : {}),
+                    ...change,
+                };
+
+                await Apify.pushData(item);
+                await database?.upsert(data.zpid, item);
+                await webhooks?.sendItem(item);
+                await onItem?.(item);
+                await history?.push(data);
             }
         },
         input,
@@ -242,103 +400,38 @@ const getExtendOutputFunction = async ({ zpids, input }, minMaxDate, getSimpleRe
 };
 
 /**
+ * Output fields from the input, or from the legacy `simple` toggle
  *
- * @param {{ simple: boolean }} input
+ * @param {{ simple?: boolean, discoveryOnly: boolean, outputFields?: string[], outputFormat?: string }} input
  * @returns getSimpleResult function
  */
 const getSimpleResultFunction = (input) => {
-    // Toggle showing only a subset of result attributes
-
-    const simpleResult = {
-        address: true,
-        bedrooms: true,
-        bathrooms: true,
-        price: true,
-        yearBuilt: true,
-        longitude: true,
-        homeStatus: true,
-        latitude: true,
-        description: true,
-        livingArea: true,
-        currency: true,
-        hdpUrl: true,
-        responsivePhotos: true,
-    };
+    if (input.outputFormat === 'normalized') {
+        return normalizeProperty;
+    }
 
-    const getSimpleResult = createGetSimpleResult(
-        input.simple
-            ? simpleResult
-            : {
-                ...simpleResult,
-                datePosted: true,
-                isZillowOwned: true,
-                priceHistory: true,
-                zpid: true,
-                isPremierBuilder: true,
-                primaryPublicVideo: true,
-                tourViewCount: true,
-                postingContact: true,
-                unassistedShowing: true,
-                homeType: true,
-                comingSoonOnMarketDate: true,
-                timeZone: true,
-                newConstructionType: true,
-                moveInReady: true,
-                moveInCompletionDate: true,
-                lastSoldPrice: true,
-                contingentListingType: true,
-                zestimate: true,
-                zestimateLowPercent: true,
-                zestimateHighPercent: true,
-                rentZestimate: true,
-                restimateLowPercent: true,
-                restimateHighPercent: true,
-                solarPotential: true,
-                brokerId: true,
-                parcelId: true,
-                homeFacts: true,
-                taxAssessedValue: true,
-                taxAssessedYear: true,
-                isPreforeclosureAuction: true,
-                listingProvider: true,
-                marketingName: true,
-                building: true,
-                priceChange: true,
-                datePriceChanged: true,
-                dateSold: true,
-                lotSize: true,
-                hoaFee: true,
-                mortgageRates: true,
-                propertyTaxRate: true,
-                whatILove: true,
-                isFeatured: true,
-                isListedByOwner: true,
-                isCommunityPillar: true,
-                pageViewCount: true,
-                favoriteCount: true,
-                openHouseSchedule: true,
-                brokerageName: true,
-                taxHistory: true,
-                abbreviatedAddress: true,
-                ownerAccount: true,
-                isRecentStatusChange: true,
-                isNonOwnerOccupied: true,
-                buildingId: true,
-                daysOnZillow: true,
-                rentalApplicationsAcceptedType: true,
-                buildingPermits: true,
-                highlights: true,
-                tourEligibility: true,
-            },
-    );
+    if (input.discoveryOnly) {
+        // search results only have these
+        return createGetSimpleResult(OUTPUT_FIELDS.discovery);
+    }
+
+    // an explicit list wins over the legacy toggle
+    if (Array.isArray(input.outputFields) && input.outputFields.length) {
+        return createGetSimpleResult(input.outputFields);
+    }
+
+    if (input.simple === false || Array.isArray(input.outputFields)) {
+        return createGetSimpleResult(OUTPUT_FIELDS.full);
+    }
 
-    return getSimpleResult;
+    return createGetSimpleResult(OUTPUT_FIELDS.simple);
 };
 
 module.exports = {
     validateInput,
     getInitializedStartUrls,
     initializePreLaunchHooks,
+    getLaunchOptions,
     getSimpleResultFunction,
     getExtendOutputFunction,
 };
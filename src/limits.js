@@ -0,0 +1,176 @@
+const Apify = require('apify');
+
+const fns = require('./functions');
+
+const { log } = Apify.utils;
+
+/**
+ * @typedef {'runTimeSecs' | 'graphqlCalls' | 'searchCalls' | 'proxyMb'} Usage
+ *
+ * @typedef {{
+ *   limit: string,
+ *   max: number,
+ *   value: number,
+ *   message: string,
+ *   reachedAt: string,
+ * }} ReachedLimit
+ */
+
+/**
+ * Input limit, the usage it's compared to and its description
+ *
+ * @type {Array<[string, Usage, string]>}
+ */
+const RUN_LIMITS = [
+    ['maxRunTimeSecs', 'runTimeSecs', 'run time in seconds'],
+    ['maxGraphqlCalls', 'graphqlCalls', 'GraphQL calls'],
+    ['maxSearchCalls', 'searchCalls', 'search state calls'],
+    ['maxProxyBandwidthMb', 'proxyMb', 'proxy traffic in MB'],
+];
+
+/**
+ * Cost limits of the run besides `maxItems`. The GraphQL and search state
+ * calls are counted on the pages, the traffic from the browser network
+ * events and the HTTP responses. The first limit reached is reported once
+ *
+ * @param {Record<string, any>} input
+ */
+const createRunLimits = (input) => {
+    const startedAt = Date.now();
+    let graphqlCalls = 0;
+    let searchCalls = 0;
+    let proxyBytes = 0;
+    /** @type {ReachedLimit | null} */
+    let reached = null;
+    /** @type {Array<(reached: ReachedLimit) => void>} */
+    const listeners = [];
+
+    /**
+     * @returns {Record<Usage, number>}
+     */
+    const getUsage = () => ({
+        runTimeSecs: Math.round((Date.now() - startedAt) / 1000),
+        graphqlCalls,
+        searchCalls,
+        proxyMb: Math.round((proxyBytes / 1024 / 1024) * 100) / 100,
+    });
+
+    const check = () => {
+        if (reached) {
+            return;
+        }
+
+        const usage = getUsage();
+
+        for (const [limit, usageKey, description] of RUN_LIMITS) {
+            const max = input[limit];
+
+            if (typeof max === 'number' && max > 0 && usage[usageKey] >= max) {
+                reached = {
+                    limit,
+                    max,
+                    value: usage[usageKey],
+                    message: `Reached the limit of ${max} ${description}`,
+                    reachedAt: new Date().toISOString(),
+                };
+
+                const current = reached;
+                listeners.forEach((listener) => listener(current));
+
+                return;
+            }
+        }
+    };
+
+    const timeout = input.maxRunTimeSecs > 0
+        ? setTimeout(check, input.maxRunTimeSecs * 1000)
+        : null;
+
+    timeout?.unref();
+
+    /**
+     * @param {number} bytes
+     */
+    const addBytes = (bytes) => {
+        proxyBytes += bytes || 0;
+        check();
+    };
+
+    return {
+        /**
+         * Counts the search state and GraphQL calls made on the page
+         *
+         * @template {{ evaluate: Function }} T
+         * @param {T} page
+         * @returns {T}
+         */
+        wrapPage(page) {
+            return fns.withPageEvaluate(page, async (fn, params) => {
+                if (fn === fns.queryRegionHomes) {
+                    searchCalls++;
+                    check();
+                } else if (fn === fns.evaluateQueryZpid) {
+                    graphqlCalls++;
+                    check();
+                }
+
+                return page.evaluate(fn, params);
+            });
+        },
+        /**
+         * Counts the encoded size of every response the browser page loads
+         *
+         * @param {import('puppeteer').Page} page
+         */
+        async trackPage(page) {
+            try {
+                const client = await page.target().createCDPSession();
+
+                await client.send('Network.enable');
+
+                client.on('Network.loadingFinished', ({ encodedDataLength }) => {
+                    addBytes(encodedDataLength);
+                });
+            } catch (/** @type {any} */ e) {
+                log.debug('trackPage', { error: e.message });
+            }
+        },
+        /**
+         * Counts the size of a got-scraping response
+         *
+         * @param {any} response
+         */
+        addResponse(response) {
+            addBytes((response.rawBody?.length ?? Buffer.byteLength(response.body ?? ''))
+                + JSON.stringify(response.headers ?? {}).length);
+        },
+        /**
+         * @param {(reached: ReachedLimit) => void} listener
+         */
+        onReached(listener) {
+            listeners.push(listener);
+        },
+        getReached() {
+            return reached;
+        },
+        /**
+         * Value of the LIMITS record
+         */
+        getSummary() {
+            return {
+                reachedLimit: reached,
+                usage: getUsage(),
+                limits: Object.fromEntries(RUN_LIMITS.map(([limit]) => [limit, input[limit] || null])),
+            };
+        },
+        close() {
+            if (timeout) {
+                clearTimeout(timeout);
+            }
+        },
+    };
+};
+
+module.exports = {
+    createRunLimits,
+};
@@ -0,0 +1,145 @@
+const { ORIGIN, NORMALIZED_SCHEMA_VERSION } = require('./constants');
+
+/**
+ * @typedef {{
+ *   zpid: string,
+ *   status: string | null,
+ *   homeType: string | null,
+ *   listPrice: number | null,
+ *   soldPrice: number | null,
+ *   zestimate: number | null,
+ *   beds: number | null,
+ *   baths: number | null,
+ *   sqft: number | null,
+ *   lotSqft: number | null,
+ *   yearBuilt: number | null,
+ *   lat: number | null,
+ *   lng: number | null,
+ *   street: string | null,
+ *   city: string | null,
+ *   state: string | null,
+ *   zip: string | null,
+ *   url: string | null,
+ *   listedAt: string | null,
+ *   soldAt: string | null,
+ *   scrapedAt: string,
+ *   schemaVersion: number,
+ * }} NormalizedProperty
+ */
+
+const SQFT_PER_ACRE = 43560;
+
+/**
+ * @param {any} value
+ * @returns {number | null}
+ */
+const toNumber = (value) => {
+    const number = typeof value === 'string' ? +value.replace(/[$,]/g, '') : value;
+
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * @param {any} value
+ * @returns {string | null}
+ */
+const toText = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    return `${value}`;
+};
+
+/**
+ * ISO date from timestamps or date strings
+ *
+ * @param {any} value
+ * @returns {string | null}
+ */
+const toDate = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const date = new Date(value);
+
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * @param {any} data
+ * @returns {number | null}
+ */
+const getLotSqft = (data) => {
+    const value = toNumber(data.lotAreaValue);
+
+    if (value !== null) {
+        return /acre/i.test(data.lotAreaUnits ?? data.lotAreaUnit ?? '')
+            ? Math.round(value * SQFT_PER_ACRE)
+            : value;
+    }
+
+    return toNumber(data.lotSize);
+};
+
+/**
+ * @param {any} data
+ */
+const isSold = (data) => /SOLD/.test(data.homeStatus ?? '');
+
+/**
+ * Latest price history event with the given type
+ *
+ * @param {any} data
+ * @param {RegExp} event
+ * @returns {{ price?: number, time?: number, date?: string } | undefined}
+ */
+const findPriceEvent = (data, event) => [].concat(data.priceHistory ?? [])
+    .find((/** @type {any} */ history) => event.test(history?.event ?? ''));
+
+/**
+ * Maps the property data into a flat schema with fixed types,
+ * so Zillow renaming or nesting a field doesn't break the consumers
+ *
+ * @param {any} data Property data from GraphQL or a search result
+ * @returns {NormalizedProperty}
+ */
+const normalizeProperty = (data) => {
+    const address = data.address ?? {};
+    const sold = isSold(data);
+    const listed = findPriceEvent(data, /^Listed/i);
+    const soldEvent = findPriceEvent(data, /^Sold/i);
+    const path = data.hdpUrl || data.detailUrl;
+
+    return {
+        zpid: `${data.zpid}`,
+        status: toText(data.homeStatus),
+        homeType: toText(data.homeType),
+        listPrice: sold ? toNumber(listed?.price) : toNumber(data.price),
+        soldPrice: sold
+            ? toNumber(data.price) ?? toNumber(data.lastSoldPrice)
+            : toNumber(data.lastSoldPrice),
+        zestimate: toNumber(data.zestimate),
+        beds: toNumber(data.bedrooms),
+        baths: toNumber(data.bathrooms),
+        sqft: toNumber(data.livingArea),
+        lotSqft: getLotSqft(data),
+        yearBuilt: toNumber(data.yearBuilt),
+        lat: toNumber(data.latitude),
+        lng: toNumber(data.longitude),
+        street: toText(address.streetAddress),
+        city: toText(address.city),
+        state: toText(address.state),
+        zip: toText(address.zipcode),
+        url: path ? new URL(path, ORIGIN).toString() : null,
+        listedAt: toDate(data.datePosted ?? listed?.time ?? listed?.date),
+        soldAt: toDate(data.dateSold ?? soldEvent?.time ?? soldEvent?.date),
+        scrapedAt: new Date().toISOString(),
+        schemaVersion: NORMALIZED_SCHEMA_VERSION,
+    };
+};
+
+module.exports = {
+    normalizeProperty,
+};
@@ -6,10 +6,14 @@ const {
     LABELS,
     TYPES,
     PAGES_LIMIT,
+    RESULTS_LIMIT,
     SearchQueryState,
     GetSearchPageState,
     ZpidResult,
+    PriceRange,
+    PriceBands,
     ORIGIN,
+    QUERY_ID_NOT_FOUND,
 } = require('./constants');
 /* eslint-enable no-unused-vars */
 
@@ -24,6 +28,16 @@ const {
 
 const { log, sleep } = Apify.utils;
 
+/**
+ * @typedef {Awaited<ReturnType<typeof import('./coverage').createCoverage>>} Coverage
+ * @typedef {ReturnType<typeof import('./query-id').createQueryIdRefresh>} QueryIdRefresh
+ * @typedef {ReturnType<typeof import('./fixtures').createFixtureRecorder>} FixtureRecorder
+ * @typedef {ReturnType<typeof import('./budget').createItemBudget>} ItemBudget
+ * @typedef {ReturnType<typeof import('./limits').createRunLimits>} RunLimits
+ * @typedef {ReturnType<typeof import('./stats').createRunStats>} RunStats
+ * @typedef {Awaited<ReturnType<typeof import('./failed').createFailedDataset>>} FailedDataset
+ */
+
 class PageHandler {
     /**
      *
@@ -36,28 +50,41 @@ class PageHandler {
      *  proxyInfo: Apify.ProxyInfo }} context
      * @param {{
      *  zpids: Set<any>,
+     *  budget: ItemBudget,
      *  input: {
      *      maxItems: number,
-     *      maxLevel: number,
+     *      maxLevel?: number | null,
      *      debugLog: boolean,
      *      splitThreshold: number,
      *      startUrls: Apify.RequestOptions[],
      *      type: keyof TYPES,
      *      handlePageTimeoutSecs: number,
      *      zpids: any[],
+     *      discoveryOnly: boolean,
+     *      browserless: boolean,
+     *      maxConcurrency: number,
      *  },
-     *  crawler: Apify.PuppeteerCrawler,
+     *  polygons: ReturnType<typeof fns.getPolygonFeatures>,
+     *  inputFilterState: Record<string, any>,
+     *  coverage: Coverage,
+     *  queryIdRefresh: QueryIdRefresh,
+     *  recorder: FixtureRecorder | null,
+     *  limits: RunLimits,
+     *  stats: RunStats,
+     *  failed: FailedDataset,
+     *  crawler: Apify.PuppeteerCrawler | Apify.BasicCrawler,
      * }} globalContext
      * @param {*} extendOutputFunction
      */
-    constructor({ page, request, crawler, session, proxyInfo }, { zpids, input }, extendOutputFunction) {
+    constructor({ page, request, crawler, session, proxyInfo }, { zpids, budget, input, polygons, inputFilterState, coverage, queryIdRefresh, recorder, limits, stats, failed }, extendOutputFunction) {
         const { requestQueue, autoscaledPool } = crawler;
 
-        this.context = { page, request, requestQueue, autoscaledPool, session, proxyInfo };
-        this.globalContext = { zpids, input, crawler };
+        this.globalContext = { zpids, budget, input, polygons, inputFilterState, coverage, queryIdRefresh, recorder, limits, stats, failed, crawler };
+        this.context = { page: this._wrapPage(page), request, requestQueue, autoscaledPool, session, proxyInfo };
         this.extendOutputFunction = extendOutputFunction;
 
         this.anyErrors = false;
+        this.mapSplitsEnqueued = false;
 
         this.pendingPromise = this.getResponse(page);
     }
@@ -88,43 +115,83 @@ class PageHandler {
         }
     }
 
+    /**
+     * Counts the search state and GraphQL calls for the run limits and stats,
+     * and in record mode, saves their responses as fixtures
+     *
+     * @param {Puppeteer.Page} page
+     */
+    _wrapPage(page) {
+        const { recorder, limits, stats } = this.globalContext;
+
+        return limits.wrapPage(stats.wrapPage(recorder ? recorder.wrapPage(page) : page));
+    }
+
+    /**
+     * @returns {Promise<string>}
+     */
+    async _getPageContent() {
+        const { page } = this.context;
+
+        return page.content();
+    }
+
+    /**
+     * Saves the page HTML as a fixture in record mode
+     */
+    async _recordPage() {
+        const { recorder } = this.globalContext;
+        const { request } = this.context;
+
+        if (recorder) {
+            await recorder.recordPage(request.url, await this._getPageContent());
+        }
+    }
+
     /**
      * @param {ReturnType<typeof createQueryZpid> | null} queryZpid
      * @param {() => Promise<void>} loadQueue
      * @returns {Promise<queryZpid>}
      */
     async handleInitialPage(queryZpid, loadQueue) {
-        const { crawler, input } = this.globalContext;
-        const { page, proxyInfo, autoscaledPool, session } = this.context;
+        const { crawler, input, queryIdRefresh } = this.globalContext;
+        const { request, autoscaledPool, session } = this.context;
+
+        const isRefresh = queryIdRefresh.isRefreshRequest(request);
 
         try {
             log.info('Trying to get queryId...');
 
-            const { queryId, clientVersion } = await interceptQueryId(page, proxyInfo);
+            const { queryId, clientVersion } = await this._discoverQueryId();
 
-            if (!queryId || !clientVersion) {
-                throw new Error('queryId unavailable');
-            }
-
-            if (!queryZpid) {
+            if (!queryZpid || isRefresh) {
                 // avoid a racing condition here because of interceptQueryId being stuck forever or for a long time
                 log.debug('Intercepted queryId', { queryId, clientVersion });
 
                 queryZpid = createQueryZpid(queryId, clientVersion);
 
-                await Apify.setValue('QUERY', { queryId, clientVersion });
+                await Apify.setValue('QUERY', await this._getSavedQuery(queryId, clientVersion));
 
-                if (autoscaledPool) {
-                    autoscaledPool.maxConcurrency = 10;
+                if (autoscaledPool && !isRefresh) {
+                    autoscaledPool.maxConcurrency = input.maxConcurrency || 10;
                 }
 
-                log.info('Got queryId, continuing...');
+                log.info(isRefresh ? 'Got new queryId, continuing...' : 'Got queryId, continuing...');
             }
-        } catch (e) {
+        } catch (/** @type {any} */ e) {
+            if (e.message === QUERY_ID_NOT_FOUND) {
+                queryIdRefresh.setDiscoveryFailed();
+            }
+
             session.retire();
             throw e;
         }
 
+        if (isRefresh) {
+            queryIdRefresh.refreshed();
+            return queryZpid;
+        }
+
         fns.changeHandlePageTimeout(crawler, input.handlePageTimeoutSecs || 3600);
 
         await loadQueue();
@@ -132,18 +199,52 @@ class PageHandler {
         return queryZpid;
     }
 
+    /**
+     * @returns {Promise<{ queryId: string, clientVersion: string }>}
+     */
+    async _discoverQueryId() {
+        const { page, proxyInfo } = this.context;
+
+        return interceptQueryId(page, proxyInfo);
+    }
+
+    /**
+     * Value of the QUERY record
+     *
+     * @param {string} queryId
+     * @param {string} clientVersion
+     */
+    async _getSavedQuery(queryId, clientVersion) {
+        const { page } = this.context;
+        const { input } = this.globalContext;
+
+        return {
+            queryId,
+            clientVersion,
+            // the browserless mode continues with the cookies of the browser
+            ...(input.browserless ? {
+                cookies: await page.cookies(),
+                userAgent: await page.evaluate(() => navigator.userAgent),
+            } : {}),
+        };
+    }
+
     async handleDetailPage() {
-        if (this.isOverItems()) {
+        const { budget } = this.globalContext;
+
+        if (budget.isDone()) {
             return;
         }
 
-        const { request, page, requestQueue, session } = this.context;
+        const { request, page, requestQueue } = this.context;
 
         const url = page.url();
         log.debug(`Scraping ${url}`);
 
+        await this._recordPage();
+
         if (url.includes('/b/') || !+request.userData.zpid) {
-            const nextData = await page.$eval('[id="__NEXT_DATA__"]', (s) => JSON.parse(s.innerHTML));
+            const nextData = await this._getNextData();
 
             if (!nextData) {
                 throw new Error('Missing data');
@@ -175,7 +276,29 @@ class PageHandler {
             throw new Error('ZPID not found in page');
         }
 
-        const scripts = await page.$x('//script[contains(., "RenderQuery") and contains(., "apiCache")]');
+        const { zpid } = request.userData;
+
+        if (!await budget.reserve(zpid)) {
+            log.debug(`Not extracting ${zpid}, already in flight or no items left`);
+            return;
+        }
+
+        try {
+            await this._extractPreloadedData(url);
+        } finally {
+            budget.release(zpid);
+        }
+    }
+
+    /**
+     * Property data from the scripts of the detail page
+     *
+     * @param {string} url
+     */
+    async _extractPreloadedData(url) {
+        const { request, page, session } = this.context;
+
+        const scripts = await this._getPreloadedDataScripts();
 
         // await Apify.setValue(`${request.userData.zpid}--${Math.random()}`, await page.content(), { contentType: 'text/html' });
 
@@ -189,7 +312,7 @@ class PageHandler {
 
         for (const script of scripts) {
             try {
-                const loaded = JSON.parse(JSON.parse(await script.evaluate((/** @type {any} */ s) => s.innerHTML)).apiCache);
+                const loaded = JSON.parse(JSON.parse(script).apiCache);
 
        
                 
@@ -219,6 +342,28 @@ class PageHandler {
         }
     }
 
+    /**
+     * @returns {Promise<any>}
+     */
+    async _getNextData() {
+        const { page } = this.context;
+
+        return page.$eval('[id="__NEXT_DATA__"]', (s) => JSON.parse(s.innerHTML));
+    }
+
+    /**
+     * Contents of the scripts containing the preloaded property data
+     *
+     * @returns {Promise<string[]>}
+     */
+    async _getPreloadedDataScripts() {
+        const { page } = this.context;
+
+        const scripts = await page.$x('//script[contains(., "RenderQuery") and contains(., "apiCache")]');
+
+        return Promise.all(scripts.map((script) => script.evaluate((/** @type {any} */ s) => s.innerHTML)));
+    }
+
     /**
      * @param {ReturnType<typeof createQueryZpid>} queryZpid
      */
@@ -241,8 +386,9 @@ class PageHandler {
      */
     async _addZpidsRequest(zpids, url, hash) {
         const { requestQueue } = this.context;
+        const { budget } = this.globalContext;
 
-        if (this.isOverItems()) {
+        if (budget.isDone()) {
             return;
         }
 console.log('before')
@@ -259,6 +405,37 @@ console.log('before')
         });
     }
 
+    /**
+     * Search results are either enqueued for getting the details
+     * or, in discovery only mode, pushed straight to the output
+     *
+     * @param {ReturnType<PageHandler['_getMergedSearchResults']>} merged
+     * @param {string} url
+     * @param {string} hash
+     */
+    async _processSearchResults({ results, searchResults }, url, hash) {
+        const { request, page } = this.context;
+        const { input, budget } = this.globalContext;
+
+        if (!input.discoveryOnly) {
+            return this._addZpidsRequest(results, url, hash);
+        }
+
+        for (const searchResult of searchResults) {
+            if (budget.isDone()) {
+                break;
+            }
+
+            const item = fns.getSearchResultItem(searchResult);
+
+            await this.extendOutputFunction(item, {
+                request,
+                page,
+                zpid: item.zpid,
+            });
+        }
+    }
+
     /**
      *
      * @param {string} label
@@ -277,6 +454,7 @@ console.log('aaa1')
             const [pageQs, loadedQs] = await Promise.all([
                 this._getPageQs(),
                 this.pendingPromise,
+                this._recordPage(),
             ]);
             console.log('aaa3')
           
@@ -297,8 +475,8 @@ console.log(  page.url())
             const queryState = loadedQs?.searchQueryState
                 ?? pageQs.queryState;
 console.log(  page.url())
-            await this._addZpidsRequest(
-                merged.results,
+            await this._processSearchResults(
+                merged,
                 page.url(),
                 fns.getUniqueKeyFromQueryState(queryState),
             );
@@ -310,7 +488,7 @@ console.log(  page.url())
             }`);
 
             await Promise.allSettled([
-                this._tryEnqueueMapSplits(queryState),
+                this._tryEnqueueMapSplits(queryState, merged.categoryTotals),
                 this._tryEnqueuePaginationPages(queryState),
             ]);
 
@@ -340,9 +518,9 @@ console.log(  page.url())
      */
     async processZpid(zpid, detailUrl, queryZpid, relaxed = false) {
         const { page, request, requestQueue, session } = this.context;
-        const { zpids } = this.globalContext;
+        const { zpids, budget, queryIdRefresh, stats, failed } = this.globalContext;
 
-        if (this.isOverItems()) {
+        if (budget.isDone()) {
             return;
         }
 
@@ -363,6 +541,7 @@ console.log(  page.url())
         const invalidNonNumeric = 'Invalid non-numeric zpid';
         const notZpid = `Zpid not string or number`;
         let noWait = false;
+        let isReserved = false;
 
         try {
             if (!zpid) {
@@ -375,6 +554,7 @@ console.log(  page.url())
 
             if (zpids.has(`${zpid}`)) {
                 noWait = true;
+                stats.addDeduped();
                 log.debug(`Zpids already contain zpid ${zpid}, returning from process zpid`);
                 return;
             }
@@ -383,10 +563,27 @@ console.log(  page.url())
                 throw new Error('Not trying to retrieve data, session is not usable anymore');
             }
 
+            isReserved = await budget.reserve(zpid);
+
+            if (!isReserved) {
+                noWait = true;
+                log.debug(`Not querying ${zpid}, already in flight or no items left`);
+                return;
+            }
+
             log.debug(`Extracting ${zpid}`);
 
+            const response = JSON.parse(await queryZpid(page, zpid));
+
+            if (fns.isQueryIdError(response)) {
+                await queryIdRefresh.failed(response?.errors?.[0]?.message ?? 'Missing property data');
+                throw new Error('GraphQL query failed');
+            }
+
+            queryIdRefresh.succeeded();
+
             await this.extendOutputFunction(
-                JSON.parse(await queryZpid(page, zpid)).data.property,
+                response.data.property,
                 {
                     request,
                     page,
@@ -394,13 +591,14 @@ console.log(  page.url())
                 },
             );
         } catch (e) {
-            if (this.isOverItems()) {
+            if (budget.isDone()) {
                 return;
             }
 
             if ([notZpid, invalidNonNumeric].includes(e.message)) {
                 noWait = true;
                 log.debug(`processZpid: ${e.message} - ${zpid}`);
+                await failed.dropped(this.context, { zpid, detailUrl, reason: e.message });
                 return;
             }
 
@@ -412,20 +610,16 @@ console.log(  page.url())
             this.anyErrors = true;
             session.retire();
         } finally {
+            if (isReserved) {
+                budget.release(zpid);
+            }
+
             if (!noWait) {
                 await sleep(100);
             }
         }
     }
 
-    isOverItems(extra = 0) {
-        const { zpids, input } = this.globalContext;
-
-        return typeof input.maxItems === 'number' && input.maxItems > 0
-            ? zpids.size + extra >= input.maxItems
-            : false;
-    }
-
     foundAnyErrors() {
         return this.anyErrors;
     }
@@ -504,6 +698,7 @@ console.log(page.url())
         const { page, session } = this.context;
 
         if (await page.$('.captcha-container')) {
+            this.globalContext.stats.addCaptcha();
             session.retire();
             throw new Error('Captcha found when searching, retrying...');
         }
@@ -532,7 +727,7 @@ console.log(  page.url())
      * @returns array of list results and map results for cat1 and cat2 merged
      */
     _getMergedSearchResults(pageQs) {
-        const { zpids } = this.globalContext;
+        const { zpids, polygons } = this.globalContext;
         const set = new Set();
         /** @type {Array<ZpidResult>} */
         const results = [];
@@ -546,20 +741,25 @@ console.log(  page.url())
                 ...qs?.cat2?.searchResults?.mapResults ?? [],
                 ...qs?.cat2?.searchResults?.relaxedResults ?? [],
             ]
-                .map(({ zpid, detailUrl, relaxed }) => ({
-                    zpid: `${zpid}`,
-                    detailUrl: detailUrl || '',
-                    relaxed: relaxed || false,
+                .filter(({ latLong }) => fns.isInsidePolygons(latLong ?? {}, polygons))
+                .map((/** @type {any} */ searchResult) => ({
+                    item: {
+                        zpid: `${searchResult.zpid}`,
+                        detailUrl: searchResult.detailUrl || '',
+                        relaxed: searchResult.relaxed || false,
+                    },
+                    searchResult,
                 }))
-                .filter((s) => {
+                .filter(({ item: s }) => {
                     return !!s.zpid
                         && +s.zpid == s.zpid
                         && !zpids.has(s.zpid)
                         && !set.has(s.zpid);
                 })
-                .forEach((item) => {
+                .forEach(({ item, searchResult }) => {
                     set.add(item.zpid);
                     out.results.push(item);
+                    out.searchResults.push(searchResult);
                 });
 
             out.categoryTotals = Math.max(
@@ -571,6 +771,8 @@ console.log(  page.url())
             return out;
         }, {
             results,
+            /** @type {any[]} raw list and map results, same order as results */
+            searchResults: [],
             categoryTotals: -Infinity,
         });
     }
@@ -584,7 +786,7 @@ console.log(  page.url())
      */
     async _extractQueryStatesForCurrentPage(pageQs) {
         const { request, page } = this.context;
-        const { input } = this.globalContext;
+        const { input, coverage } = this.globalContext;
 
         /** @type {number} */
         const pageNumber = request.userData.pageNumber || 1;
@@ -594,14 +796,20 @@ console.log(  page.url())
             input.type,
             page,
             pageQs,
-            async ({ url, result, hash }) => {
-                const { categoryTotals, results } = this._getMergedSearchResults([result]);
+            async ({ url, result, hash, qs, cat }) => {
+                const merged = this._getMergedSearchResults([result]);
 
-                if (categoryTotals > 0 || results.length) {
-                    await this._addZpidsRequest(results, url, hash);
+                coverage.add(qs, cat, result, this._getPriceBands()[fns.isRentFilterState(qs.filterState) ? 'monthlyPayment' : 'price']);
+
+                if (merged.categoryTotals > 0 || merged.results.length) {
+                    await this._processSearchResults(merged, url, hash);
                 }
+
+                // the type filtered count can be higher than the one from page load
+                await this._tryEnqueueMapSplits(pageQs, merged.categoryTotals);
             },
             pageNumber,
+            this._getInputFilterState(),
         );
     }
 
@@ -629,31 +837,79 @@ console.log(  page.url())
     }
 
     /**
-     * This takes a LOT of time, but can get thousands of results
+     * Adaptive quadtree splitting: the map is only split when the
+     * tile has more results than Zillow returns for a single search,
+     * otherwise the tile is fully covered and the splitting stops.
+     * When the street level zoom is reached, the tile is split by
+     * price ranges instead. `maxLevel` is an optional cap on the depth.
      *
      * @param {SearchQueryState} queryState
+     * @param {number} totalCount Reported result count for the tile
      */
-    async _tryEnqueueMapSplits(queryState) {
+    async _tryEnqueueMapSplits(queryState, totalCount) {
         const { request } = this.context;
-        const { input } = this.globalContext;
-
-        const maxLevel = input.maxLevel ?? 0;
+        const { input, polygons, budget } = this.globalContext;
 
-        if (this.isOverItems() || maxLevel === 0) {
+        if (budget.isDone() || this.mapSplitsEnqueued || request.userData.pageNumber > 1) {
             log.debug('Not trying to enqueue map splits');
             return;
         }
 
+        const splitThreshold = input.splitThreshold || RESULTS_LIMIT;
+
+        if (!(totalCount > splitThreshold)) {
+            log.debug('Tile is fully covered, no map split needed', { totalCount, splitThreshold });
+            return;
+        }
+
+        const { maxLevel } = input;
         const currentSplitCount = request.userData.splitCount ?? 0;
 
-        if (currentSplitCount >= maxLevel) {
-            log.info('Over max level, no map split will take place', { currentSplitCount, maxLevel });
-        } else {
-            const splits = splitQueryState(queryState);
-            const splitCount = currentSplitCount + 1;
-            log.info(`Splitting map into ${splits.length} squares and zooming in, ${splitCount} splits`);
+        // unset is no cap, 0 doesn't split at all
+        if (typeof maxLevel === 'number' && currentSplitCount >= maxLevel) {
+            log.info('Over max level, no map split will take place', { currentSplitCount, maxLevel, totalCount });
+            return;
+        }
+
+        const priceBands = this._getPriceBands();
+        const bandNames = this._getPriceBandNames(queryState);
+        const splitCount = currentSplitCount + 1;
+        const mapSplits = splitQueryState(queryState);
+
+        if (mapSplits.length) {
+            const splits = mapSplits
+                .filter(({ mapBounds }) => fns.boundsIntersectPolygons(mapBounds, polygons))
+                .map((searchQueryState) => ({ searchQueryState, priceBands }));
+
+            log.info(`Splitting map with ${totalCount} results into ${splits.length} squares and zooming in, ${splitCount} splits`);
+            this.mapSplitsEnqueued = true;
+            bandNames.forEach((name) => this.globalContext.coverage.markSplit(queryState, priceBands[name]));
             await this._enqueueMapSplits(splits, splitCount);
+            return;
+        }
+
+        // every band of the tile is split, so the split tiles don't search the same listings again
+        const splitBands = bandNames
+            .map((name) => /** @type {[keyof PriceBands, PriceRange[]]} */ ([name, fns.splitPriceRange(priceBands[name], name === 'monthlyPayment')]))
+            .filter(([, ranges]) => ranges.length);
+
+        if (!splitBands.length) {
+            log.info('Price range cannot be split further, some results will be missing', { totalCount, priceBands });
+            return;
         }
+
+        const priceSplits = [0, 1].map((index) => ({
+            ...priceBands,
+            ...Object.fromEntries(splitBands.map(([name, ranges]) => [name, ranges[index]])),
+        }));
+
+        log.info(`Splitting street level map with ${totalCount} results into ${priceSplits.length} price ranges, ${splitCount} splits`, { priceSplits });
+        this.mapSplitsEnqueued = true;
+        splitBands.forEach(([name]) => this.globalContext.coverage.markSplit(queryState, priceBands[name]));
+        await this._enqueueMapSplits(priceSplits.map((bands) => ({
+            searchQueryState: queryState,
+            priceBands: bands,
+        })), splitCount);
     }
 
     /**
@@ -665,36 +921,36 @@ console.log(  page.url())
      */
     async _tryEnqueuePaginationPages(searchQueryState) {
         const { requestQueue, page, request } = this.context;
+        const { budget } = this.globalContext;
 
-        if (this.isOverItems() || !!request.userData.pageNumber) {
+        if (budget.isDone() || !!request.userData.pageNumber) {
             return;
         }
 
         const url = new URL(page.url());
         url.pathname = url.pathname === '/' ? '/homes/sold/' : url.pathname;
-        url.pathname=replace(url.pathname,'/homes/for_sale','homes/sold')
+        url.pathname = url.pathname.replace('/homes/for_sale', '/homes/sold');
 
         for (let i = 2; i <= 20; i++) {
-            /** @type {SearchQueryState} */
-            const queryState = {
+            const queryState = this._withInputFilters({
                 ...searchQueryState,
                 pagination: {
                     currentPage: i,
                 },
-            };
+            });
 
             url.searchParams.set('searchQueryState', JSON.stringify(queryState));
 
-            const uniqueKey = fns.getUniqueKeyFromQueryState(queryState);
+            const uniqueKey = this._getUniqueKey(queryState);
 
             log.debug(`Enqueuing pagination page number ${i} for url: ${url.toString()}`, { uniqueKey });
 
-            url=url.replace('/homes/for_sale','/homes/sold')
             await requestQueue.addRequest({
                 url: url.toString(),
                 userData: {
                     label: LABELS.QUERY,
                     pageNumber: i,
+                    priceBands: request.userData.priceBands,
                 },
                 uniqueKey,
             });
@@ -702,31 +958,118 @@ console.log(  page.url())
     }
 
     /**
+     * Price bands searched on the tile, `monthlyPayment` when the filter
+     * states include rentals, `price` when they include the other listings
+     *
+     * @param {SearchQueryState} queryState
+     * @returns {Array<keyof PriceBands>}
+     */
+    _getPriceBandNames(queryState) {
+        const { request } = this.context;
+        const { input } = this.globalContext;
+
+        if (request.userData.ignoreFilter) {
+            return [fns.isRentFilterState(queryState.filterState) ? 'monthlyPayment' : 'price'];
+        }
+
+        if (input.type === 'all') {
+            return ['price', 'monthlyPayment'];
+        }
+
+        return [input.type === 'rent' ? 'monthlyPayment' : 'price'];
+    }
+
+    /**
+     * Price bands of the current tile, set when the tile was split by
+     * price. Each filter state is searched with the band of its listing type
      *
-     * @param {SearchQueryState[]} splits
+     * @returns {PriceBands}
+     */
+    _getPriceBands() {
+        const { request } = this.context;
+        const { inputFilterState } = this.globalContext;
+
+        return request.userData.priceBands ?? {
+            price: inputFilterState.price,
+            monthlyPayment: inputFilterState.monthlyPayment,
+        };
+    }
+
+    /**
+     * Input filters with the price bands of the tile
+     *
+     * @param {PriceBands} [priceBands]
+     */
+    _getInputFilterState(priceBands = this._getPriceBands()) {
+        const { inputFilterState } = this.globalContext;
+
+        return {
+            ...inputFilterState,
+            ...priceBands,
+        };
+    }
+
+    /**
+     * The bands aren't all part of the page query state,
+     * so tiles split by the other band would get the same key
+     *
+     * @param {SearchQueryState} queryState
+     * @param {PriceBands} [priceBands]
+     */
+    _getUniqueKey(queryState, priceBands = this._getPriceBands()) {
+        return fns.getUniqueKeyFromQueryState(
+            queryState,
+            [priceBands.price, priceBands.monthlyPayment].map((range) => [range?.min, range?.max]),
+        );
+    }
+
+    /**
+     * Applies the input filters to the query state used in the page URL,
+     * so the page load already returns filtered results
+     *
+     * @param {SearchQueryState} queryState
+     * @param {PriceBands} [priceBands]
+     * @returns {SearchQueryState}
+     */
+    _withInputFilters(queryState, priceBands) {
+        return {
+            ...queryState,
+            filterState: fns.translateFilterToQs(fns.mergeInputFilterState(
+                fns.translateQsToFilter(queryState.filterState),
+                this._getInputFilterState(priceBands),
+            )),
+        };
+    }
+
+    /**
+     *
+     * @param {Array<{ searchQueryState: SearchQueryState, priceBands: PriceBands }>} splits
      * @param {number} splitCount
      */
     async _enqueueMapSplits(splits, splitCount) {
         const { requestQueue, page } = this.context;
+        const { budget } = this.globalContext;
 
-        for (const searchQueryState of splits) {
-            if (this.isOverItems()) {
+        for (const split of splits) {
+            if (budget.isDone()) {
                 break;
             }
 
-            const uniqueKey = fns.getUniqueKeyFromQueryState(searchQueryState);
+            const { priceBands } = split;
+            const searchQueryState = this._withInputFilters({
+                ...split.searchQueryState,
+                pagination: {},
+            }, priceBands);
+
+            const uniqueKey = this._getUniqueKey(searchQueryState, priceBands);
 
             log.debug('queryState', { searchQueryState, uniqueKey });
             const url = new URL(page.url());
 
             url.pathname = url.pathname === '/' ? '/homes/sold/' : url.pathname;
-              url.pathname=replace(url.pathname,'/homes/for_sale','homes/sold')
+            url.pathname = url.pathname.replace('/homes/for_sale', '/homes/sold');
 
-
-            url.searchParams.set('searchQueryState', JSON.stringify({
-                ...searchQueryState,
-                pagination: {},
-            }));
+            url.searchParams.set('searchQueryState', JSON.stringify(searchQueryState));
 
             const result = await requestQueue.addRequest({
                 url: url.toString(),
@@ -734,6 +1077,7 @@ console.log(  page.url())
                     searchQueryState,
                     label: LABELS.QUERY,
                     splitCount,
+                    priceBands,
                 },
                 uniqueKey,
             });
@@ -772,7 +1116,9 @@ console.log(  page.url())
      * @param {ReturnType<typeof createQueryZpid>} queryZpid
      */
     async _extractZpidsFromResults(results, queryZpid) {
-        if (this.isOverItems()) {
+        const { budget } = this.globalContext;
+
+        if (budget.isDone()) {
             return;
         }
 
@@ -788,7 +1134,7 @@ console.log(  page.url())
                     if (zpid) {
                         await this.processZpid(zpid, detailUrl, queryZpid, relaxed);
 
-                        if (this.isOverItems()) {
+                        if (budget.isDone()) {
                             break; // optimize runtime
                         }
                     }
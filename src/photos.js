@@ -0,0 +1,170 @@
+const Apify = require('apify');
+const { gotScraping } = require('got-scraping');
+
+const { log } = Apify.utils;
+
+/**
+ * @typedef {{ url: string, width?: number }} PhotoSource
+ *
+ * @typedef {{
+ *   key: string,
+ *   url: string,
+ *   caption: string | null,
+ *   width: number | null,
+ *   format: string,
+ * }} StoredPhoto
+ */
+
+const PHOTO_FORMATS = {
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+};
+
+/**
+ * Photos are downloaded in parallel, a few at a time
+ */
+const PHOTO_CONCURRENCY = 5;
+
+/**
+ * Source with the width closest to the requested one, preferring larger.
+ * Width 0 picks the largest
+ *
+ * @param {PhotoSource[]} sources
+ * @param {number} width
+ * @returns {PhotoSource | undefined}
+ */
+const pickPhotoSource = (sources, width) => {
+    const sorted = [...sources]
+        .filter((source) => source?.url)
+        .sort((a, b) => (a.width ?? 0) - (b.width ?? 0));
+
+    if (!width) {
+        return sorted[sorted.length - 1];
+    }
+
+    return sorted.find((source) => (source.width ?? 0) >= width) ?? sorted[sorted.length - 1];
+};
+
+/**
+ * Photo from `responsivePhotos` or the floor plans, either with
+ * `mixedSources` of each format or a single url
+ *
+ * @param {any} photo
+ * @param {keyof PHOTO_FORMATS} format
+ * @param {number} width
+ * @returns {PhotoSource | undefined}
+ */
+const getPhotoSource = (photo, format, width) => {
+    const sources = photo?.mixedSources?.[format] ?? photo?.mixedSources?.jpeg;
+
+    if (Array.isArray(sources) && sources.length) {
+        return pickPhotoSource(sources, width);
+    }
+
+    return photo?.url ? { url: photo.url } : undefined;
+};
+
+/**
+ * Floor plan images can be in the floor plans of the property
+ * or tagged in the photos
+ *
+ * @param {any} data
+ * @returns {any[]}
+ */
+const getFloorPlans = (data) => [
+    ...[].concat(data.floorPlans ?? []).flatMap((/** @type {any} */ plan) => [].concat(plan?.photos ?? plan?.floorPlanUnitPhotos ?? [])),
+    ...[].concat(data.responsivePhotos ?? []).filter((/** @type {any} */ photo) => /floor ?plan/i.test(photo?.caption ?? '')),
+];
+
+/**
+ * Downloads the listing photos and floor plans to a named key-value store,
+ * the output references the stored keys instead of the expiring URLs
+ *
+ * @param {{ photoStoreName?: string, photoFormat?: keyof PHOTO_FORMATS, photoWidth?: number }} input
+ */
+const createPhotoDownloader = async (input) => {
+    const store = await Apify.openKeyValueStore(input.photoStoreName || 'zillow-photos');
+    const format = input.photoFormat && input.photoFormat in PHOTO_FORMATS ? input.photoFormat : 'jpeg';
+    const width = input.photoWidth ?? 1536;
+
+    /**
+     * @param {any} photo
+     * @param {string} key
+     * @returns {Promise<StoredPhoto | null>}
+     */
+    const download = async (photo, key) => {
+        const source = getPhotoSource(photo, format, width);
+
+        if (!source) {
+            return null;
+        }
+
+        try {
+            const response = await gotScraping({
+                url: source.url,
+                responseType: 'buffer',
+                retry: { limit: 3 },
+            });
+
+            if (response.statusCode !== 200) {
+                throw new Error(`Got status ${response.statusCode}`);
+            }
+
+            await store.setValue(key, response.body, {
+                contentType: response.headers['content-type'] || PHOTO_FORMATS[format],
+            });
+
+            return {
+                key,
+                url: store.getPublicUrl(key),
+                caption: photo.caption || null,
+                width: source.width ?? null,
+                format,
+            };
+        } catch (/** @type {any} */ e) {
+            log.debug('Photo download failed', { key, url: source.url, error: e.message });
+
+            return null;
+        }
+    };
+
+    /**
+     * @param {any[]} photos
+     * @param {string} prefix
+     */
+    const downloadAll = async (photos, prefix) => {
+        /** @type {StoredPhoto[]} */
+        const stored = [];
+
+        for (let i = 0; i < photos.length; i += PHOTO_CONCURRENCY) {
+            const batch = await Promise.all(photos
+                .slice(i, i + PHOTO_CONCURRENCY)
+                .map((photo, index) => download(photo, `${prefix}-${i + index}`)));
+
+            stored.push(...batch.filter(/** @returns {photo is StoredPhoto} */ (photo) => !!photo));
+        }
+
+        return stored;
+    };
+
+    return {
+        /**
+         * @param {any} data Property data
+         * @returns {Promise<{ photos: StoredPhoto[], floorPlans: StoredPhoto[] }>}
+         */
+        async download(data) {
+            const floorPlans = getFloorPlans(data);
+            const photos = [].concat(data.responsivePhotos ?? []).filter((photo) => !floorPlans.includes(photo));
+
+            return {
+                photos: await downloadAll(photos, `${data.zpid}`),
+                floorPlans: await downloadAll(floorPlans, `${data.zpid}-floorplan`),
+            };
+        },
+    };
+};
+
+module.exports = {
+    PHOTO_FORMATS,
+    createPhotoDownloader,
+};
@@ -0,0 +1,94 @@
+const Apify = require('apify');
+
+const { LABELS, INITIAL_URL, QUERY_ID_REFRESH } = require('./constants');
+
+const { log } = Apify.utils;
+
+/**
+ * Keeps count of the GraphQL errors and enqueues the initial page
+ * again when the queryId seems to be outdated, e.g. Zillow shipped
+ * a new bundle in the middle of the run
+ *
+ * @param {Apify.RequestQueue} requestQueue
+ */
+const createQueryIdRefresh = (requestQueue) => {
+    let failures = 0;
+    let refreshes = 0;
+    let refreshing = false;
+    let discoveryFailed = false;
+
+    return {
+        /**
+         * Enqueued initial page that replaces the current queryId
+         *
+         * @param {Apify.Request} request
+         */
+        isRefreshRequest(request) {
+            return request.userData.label === LABELS.INITIAL && !!request.userData.refreshQueryId;
+        },
+        get isRefreshing() {
+            return refreshing;
+        },
+        /**
+         * The page loaded fine, but none of the strategies found the queryId
+         */
+        get discoveryFailed() {
+            return discoveryFailed;
+        },
+        setDiscoveryFailed() {
+            discoveryFailed = true;
+        },
+        succeeded() {
+            failures = 0;
+        },
+        refreshed() {
+            failures = 0;
+            refreshing = false;
+            discoveryFailed = false;
+        },
+        /**
+         * The refresh request failed all its retries, the next GraphQL
+         * failure tries another one
+         *
+         * @param {string} reason
+         */
+        refreshFailed(reason) {
+            refreshing = false;
+
+            log.warning('Failed to discover the queryId again, keeping the current one', { reason });
+        },
+        /**
+         * @param {string} reason
+         */
+        async failed(reason) {
+            failures++;
+
+            if (refreshing || failures < QUERY_ID_REFRESH.failures) {
+                return;
+            }
+
+            if (refreshes >= QUERY_ID_REFRESH.maxRefreshes) {
+                log.error(`GraphQL keeps failing after ${refreshes} queryId refreshes`, { reason });
+                return;
+            }
+
+            refreshing = true;
+            refreshes++;
+
+            log.warning(`GraphQL failed ${failures} times in a row, discovering the queryId again`, { reason });
+
+            await requestQueue.addRequest({
+                url: INITIAL_URL,
+                uniqueKey: `REFRESH_QUERY_ID-${refreshes}-${Math.random()}`,
+                userData: {
+                    label: LABELS.INITIAL,
+                    refreshQueryId: true,
+                },
+            }, { forefront: true });
+        },
+    };
+};
+
+module.exports = {
+    createQueryIdRefresh,
+};
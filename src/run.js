@@ -0,0 +1,731 @@
+const Apify = require('apify');
+const { LABELS, INITIAL_URL, URL_PATTERNS_TO_BLOCK, ORIGIN } = require('./constants');
+const { PageHandler } = require('./page-handler');
+const { HttpHandler } = require('./http-handler');
+const { createCoverage } = require('./coverage');
+const { createQueryIdRefresh } = require('./query-id');
+const { createSnapshot } = require('./snapshot');
+const { createHistoryDatasets } = require('./history');
+const { exportDataset } = require('./export');
+const { createPhotoDownloader } = require('./photos');
+const { createWatchlist } = require('./watchlist');
+const { createWebhooks } = require('./webhooks');
+const { createDatabaseSink } = require('./database');
+const { createFixtureRecorder, startMockServer } = require('./fixtures');
+const { createItemBudget } = require('./budget');
+const { createRunLimits } = require('./limits');
+const { createRunStats } = require('./stats');
+const { createFailedDataset, getRetryInput } = require('./failed');
+const {
+    getExtendOutputFunction,
+    getSimpleResultFunction,
+    validateInput,
+    getInitializedStartUrls,
+    initializePreLaunchHooks,
+} = require('./initialization');
+const fns = require('./functions');
+
+const {
+    createQueryZpid,
+    proxyConfiguration,
+    getUrlData,
+    extendFunction,
+    minMaxDates,
+} = fns;
+
+const { log, puppeteer } = Apify.utils;
+
+/**
+ * Requests left in the queue when the run stops aren't failures
+ */
+const ENDING_SCRAPE = 'Ending scrape';
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   url: string,
+ *   listings: number,
+ *   handledRequests: number,
+ * }} Progress
+ */
+
+/**
+ * @typedef {{
+ *   onItem?: (item: Record<string, any>) => Promise<void> | void,
+ *   onProgress?: (progress: Progress) => Promise<void> | void,
+ *   signal?: AbortSignal,
+ * }} RunOptions
+ */
+
+/**
+ * @param {any} input
+ * @param {RunOptions} options
+ * @param {Array<() => Promise<void>>} cleanups Called when the run ends, even when it throws
+ */
+const scrape = async (input, { onItem, onProgress, signal }, cleanups) => {
+    if (input.debugLog) {
+        log.setLevel(log.LEVELS.DEBUG);
+    }
+
+    const isDebug = input.debugLog === true;
+
+    validateInput(input);
+
+    if (input.watchlist && input.maxItems) {
+        // every watched listing is scraped on each run
+        log.info('Watchlist mode, "maxItems" is ignored');
+        input.maxItems = 0;
+    }
+
+    if (input.retryFailedDataset) {
+        const retry = await getRetryInput(input.retryFailedDataset, input.retryRunId);
+
+        input.zpids = [...new Set([...[].concat(input.zpids ?? []).map(String), ...retry.zpids])];
+        input.startUrls = [...input.startUrls ?? [], ...retry.startUrls];
+    }
+
+    const fixturesDir = input.fixturesDir || 'fixtures';
+
+    // the replay is offline, without a browser or proxies
+    const mockServer = input.fixtureMode === 'replay'
+        ? await startMockServer(fixturesDir)
+        : null;
+
+    if (mockServer) {
+        input.browserless = true;
+
+        await Apify.setValue('QUERY', {
+            ...mockServer.query,
+            cookies: [],
+        });
+    }
+
+    const proxyConfig = mockServer ? undefined : await proxyConfiguration({
+        proxyConfig: {
+            ...input.proxyConfiguration,
+        },
+    });
+
+    if (proxyConfig?.groups?.includes('RESIDENTIAL')) {
+        proxyConfig.countryCode = 'US';
+    }
+
+    const minMaxDate = minMaxDates(input);
+
+    const getSimpleResult = getSimpleResultFunction(input);
+
+    const requestQueue = await Apify.openRequestQueue();
+
+    /** @type {any} */
+    const zpidsValues = await Apify.getValue('STATE');
+    const zpids = new Set(zpidsValues);
+
+    /**
+     * @type {{
+     *   zpids: Set<string>,
+     *   budget: PageHandler['globalContext']['budget'],
+     *   input: PageHandler['globalContext']['input'],
+     *   polygons: PageHandler['globalContext']['polygons'],
+     *   inputFilterState: PageHandler['globalContext']['inputFilterState'],
+     *   coverage: PageHandler['globalContext']['coverage'],
+     *   queryIdRefresh: PageHandler['globalContext']['queryIdRefresh'],
+     *   recorder: PageHandler['globalContext']['recorder'],
+     *   limits: PageHandler['globalContext']['limits'],
+     *   stats: PageHandler['globalContext']['stats'],
+     *   failed: PageHandler['globalContext']['failed'],
+     *   snapshot: Awaited<ReturnType<typeof createSnapshot>> | null,
+     *   history: Awaited<ReturnType<typeof createHistoryDatasets>> | null,
+     *   photos: Awaited<ReturnType<typeof createPhotoDownloader>> | null,
+     *   watchlist: Awaited<ReturnType<typeof createWatchlist>> | null,
+     *   webhooks: Awaited<ReturnType<typeof createWebhooks>> | null,
+     *   database: Awaited<ReturnType<typeof createDatabaseSink>> | null,
+     *   onItem?: (item: Record<string, any>) => Promise<void> | void,
+     *   crawler: Apify.PuppeteerCrawler | Apify.BasicCrawler,
+     * }}
+     */
+    const globalContext = {
+        zpids,
+        budget: createItemBudget(input, zpids),
+        input,
+        polygons: fns.getPolygonFeatures(input.polygons),
+        inputFilterState: fns.getInputFilterState(input),
+        coverage: await createCoverage(),
+        queryIdRefresh: createQueryIdRefresh(requestQueue),
+        recorder: input.fixtureMode === 'record'
+            ? createFixtureRecorder(fixturesDir)
+            : null,
+        limits: createRunLimits(input),
+        stats: createRunStats(zpids),
+        failed: await createFailedDataset(input, zpids),
+        snapshot: input.changeDetection
+            ? await createSnapshot(input.snapshotStoreName || 'zillow-snapshot')
+            : null,
+        history: input.historyDatasets
+            ? await createHistoryDatasets(input)
+            : null,
+        photos: input.downloadPhotos
+            ? await createPhotoDownloader(input)
+            : null,
+        watchlist: input.watchlist
+            ? await createWatchlist(input)
+            : null,
+        webhooks: input.webhooks?.length
+            ? await createWebhooks(input)
+            : null,
+        database: input.databaseUrl
+            ? await createDatabaseSink(input)
+            : null,
+        onItem,
+    };
+
+    cleanups.push(async () => {
+        await globalContext.database?.close();
+    }, async () => {
+        // sends the queued listings, after the last events
+        await globalContext.webhooks?.close();
+    });
+
+    const persistState = async () => {
+        await Apify.setValue('STATE', [...zpids.values()]);
+        await globalContext.coverage.persist();
+        await globalContext.snapshot?.persist();
+        await globalContext.watchlist?.persist();
+        await globalContext.history?.persist();
+        await globalContext.webhooks?.flush();
+        await globalContext.stats.persist();
+    };
+
+    Apify.events.on('aborting', persistState);
+    Apify.events.on('migrating', persistState);
+
+    const loadQueue = getInitializedStartUrls(input, requestQueue);
+
+    /**
+     * @type {ReturnType<typeof createQueryZpid> | null}
+     */
+    let queryZpid = null;
+
+    /**
+     * @type {any}
+     */
+    const savedQueryId = await Apify.getValue('QUERY');
+
+    /**
+     * In browserless mode, the browser is only used for getting the
+     * queryId and the cookies, everything else is done with HTTP requests
+     *
+     * @type {Apify.RequestList | undefined}
+     */
+    let initialRequestList;
+
+    const initialRequest = {
+        url: INITIAL_URL,
+        uniqueKey: `${Math.random()}`,
+        userData: {
+            label: LABELS.INITIAL,
+        },
+    };
+
+    if (savedQueryId?.queryId && savedQueryId?.clientVersion && (!input.browserless || savedQueryId.cookies)) {
+        queryZpid = createQueryZpid(savedQueryId.queryId, savedQueryId.clientVersion);
+
+        await loadQueue();
+    } else if (input.browserless) {
+        initialRequestList = await Apify.openRequestList(null, [initialRequest]);
+    } else {
+        await requestQueue.addRequest(initialRequest, { forefront: true });
+    }
+
+    const { budget, limits, stats, failed } = globalContext;
+
+    const extendOutputFunction = await getExtendOutputFunction(globalContext, minMaxDate, getSimpleResult);
+
+    const extendScraperFunction = await extendFunction({
+        output: async () => {}, // no-op
+        input,
+        key: 'extendScraperFunction',
+        helpers: {
+            proxyConfig,
+            getUrlData,
+            requestQueue,
+            get queryZpid() {
+                // if we use the variable here won't change to the actual function
+                // and will always get null
+                return queryZpid;
+            },
+            getSimpleResult,
+            zpids: globalContext.zpids,
+            budget,
+            fns,
+            extendOutputFunction,
+            minMaxDate,
+        },
+    });
+
+    await extendScraperFunction(undefined, {
+        label: 'SETUP',
+    });
+
+    const { webhooks } = globalContext;
+
+    await webhooks?.sendEvent('started', {
+        runId: Apify.getEnv().actorRunId,
+    });
+
+    /**
+     * This function is called when the crawling of a request failed too many times
+     *
+     * @param {{ request: Apify.Request, error: Error, session?: Apify.Session }} context
+     */
+    const handleFailedRequestFunction = async ({ request, error, session }) => {
+        if (globalContext.queryIdRefresh.isRefreshRequest(request)) {
+            globalContext.queryIdRefresh.refreshFailed(error.message);
+        }
+
+        if (error.message !== ENDING_SCRAPE) {
+            stats.failed(request);
+            await failed.requestFailed({ request, error, session });
+        }
+
+        if (request.retryCount) {
+            log.error(request.noRetry ? 'Stopped retrying request' : `${request.url} failed too many times`, { error: error.message });
+        }
+
+        if ([LABELS.INITIAL, LABELS.SEARCH, LABELS.QUERY].includes(request.userData.label)
+            && /blocked|captcha|queryId/i.test(error.message)) {
+            await webhooks?.sendEvent('query_blocked', {
+                url: request.url,
+                label: request.userData.label,
+                error: error.message,
+            });
+        }
+    };
+
+    /**
+     * @param {Apify.Request} request
+     */
+    const reportProgress = async (request) => {
+        if (!onProgress) {
+            return;
+        }
+
+        await onProgress({
+            label: request.userData.label,
+            url: request.url,
+            listings: globalContext.zpids.size,
+            handledRequests: await requestQueue.handledCount(),
+        });
+    };
+
+    /**
+     * Common handling for both browser and browserless pages
+     *
+     * @param {PageHandler} pageHandler
+     * @param {{ page: any, request: Apify.Request, session: Apify.Session }} context
+     */
+    const handlePage = async (pageHandler, { page, request, session }) => {
+        const { label } = request.userData;
+
+        if (!queryZpid || label === LABELS.INITIAL) {
+            await reportProgress(request);
+            return;
+        }
+
+        if (label === LABELS.DETAIL) {
+            await pageHandler.handleDetailPage();
+        } else if (label === LABELS.ZPIDS || label === LABELS.ENRICHED_ZPIDS) {
+            await pageHandler.handleZpidsPage(queryZpid);
+        } else if (label === LABELS.QUERY || label === LABELS.SEARCH) {
+            await pageHandler.handleQueryAndSearchPage(label);
+        }
+
+        await extendScraperFunction(undefined, {
+            page,
+            request,
+            session,
+            processZpid: pageHandler.processZpid,
+            queryZpid,
+            label: 'HANDLE',
+        });
+
+        if (pageHandler.foundAnyErrors()) {
+            session.retire();
+            throw new Error('Retiring session and browser...');
+        }
+
+        await reportProgress(request);
+    };
+
+    /**
+     * Lets the running requests finish before stopping the crawler,
+     * closing the browsers under them fails with "Target closed"
+     */
+    const finishCrawler = async () => {
+        const { autoscaledPool } = globalContext.crawler ?? {};
+
+        if (autoscaledPool) {
+            await autoscaledPool.pause();
+            await autoscaledPool.abort();
+        }
+    };
+
+    limits.onReached(({ message }) => {
+        log.warning(`${message}, stopping the run`);
+        budget.stop();
+    });
+
+    budget.onDone(() => {
+        if (budget.isFull()) {
+            log.info('Reached maximum items, finishing the running requests');
+        }
+
+        finishCrawler().catch((e) => {
+            log.debug('finishCrawler', { error: e.message });
+        });
+    });
+
+    /**
+     * browserPool is initialized separately before crawler's initialization because
+     * preLaunchHooks and postPageCloseHooks are not recognized as valid properties
+     * of browserPoolOptions inside PuppeteerCrawler's constructor (whole blocks
+     * of preLaunchHooks and postPageCloseHooks are marked as warnings by tslint).
+     */
+
+    /**
+     * crawlerWrapper is used because preLaunchHooks initialization requires
+     * crawler instance which hasn't yet been initialized
+     * @type {{ crawler: Apify.PuppeteerCrawler | null }}
+     */
+    const crawlerWrapper = { crawler: null };
+
+    /**
+     * @type {Apify.BrowserCrawlerOptions['browserPoolOptions']}
+     */
+    const browserPoolOptions = {
+        useFingerprints: true,
+        preLaunchHooks: initializePreLaunchHooks(input),
+        fingerprintsOptions: {
+            fingerprintGeneratorOptions: {
+                browsers: ['chrome'],
+                devices: ['desktop'],
+                locales: ['en-US', 'en'],
+            },
+        },
+        maxOpenPagesPerBrowser: 1,
+        retireBrowserAfterPageCount: 1,
+        prePageCloseHooks: [async (page, browserController) => {
+            const { request } = crawler.crawlingContexts.get(browserController.launchContext.id);
+
+            if (request?.errorMessages?.some((error) => error.includes('ERR_TOO_MANY_REDIRECTS'))) {
+                request.noRetry = true;
+            }
+        }],
+    };
+
+    // Create crawler
+    crawlerWrapper.crawler = new Apify.PuppeteerCrawler({
+        requestQueue: initialRequestList ? undefined : requestQueue,
+        requestList: initialRequestList,
+        maxRequestRetries: input.maxRetries || 5,
+        handlePageTimeoutSecs: !queryZpid
+            ? 120
+            : input.handlePageTimeoutSecs || 3600,
+        useSessionPool: true,
+        sessionPoolOptions: {
+            maxPoolSize: 10,
+            sessionOptions: {
+                maxErrorScore: 0.5,
+            },
+        },
+        proxyConfiguration: proxyConfig,
+        launchContext: {
+            useIncognitoPages: true,
+        },
+        preNavigationHooks: [async ({ request, page, session }, gotoOptions) => {
+            if (session) {
+                stats.trackSession(session);
+            }
+
+            if (budget.isDone()) {
+                request.noRetry = true;
+                throw new Error(ENDING_SCRAPE);
+            }
+
+            if (request.userData.label === LABELS.INITIAL) {
+                fns.interceptQueryIdTraffic(page);
+            }
+
+            await limits.trackPage(page);
+
+            /** @type {any} */
+            await puppeteer.blockRequests(page, {
+                urlPatterns: URL_PATTERNS_TO_BLOCK.concat([
+                    LABELS.DETAIL,
+                    LABELS.ZPIDS,
+                    LABELS.ENRICHED_ZPIDS,
+                ].includes(request.userData.label) ? [
+                        'maps.googleapis.com',
+                        '.js',
+                    ] : []),
+            });
+
+            await extendScraperFunction(undefined, {
+                page,
+                request,
+                label: 'GOTO',
+            });
+
+            gotoOptions.timeout = 45000;
+            gotoOptions.waitUntil = 'domcontentloaded';
+        }],
+        persistCookiesPerSession: false,
+        postNavigationHooks: [async ({ page }) => {
+            try {
+                if (!page.isClosed()) {
+                    await page.bringToFront();
+                }
+            } catch (/** @type {any} */ e) {
+                // the page can be closed by a timeout already
+                log.debug('postNavigationHooks', { error: e.message });
+            }
+        }],
+        browserPoolOptions,
+        maxConcurrency: !queryZpid ? 1 : input.maxConcurrency || 10,
+        handlePageFunction: async (context) => {
+            const { page, request, response } = context;
+            const startedAt = Date.now();
+            const pageHandler = new PageHandler(context, globalContext, extendOutputFunction);
+            log.debug(`Processing page ${page.url()}`);
+
+            if (!response || budget.isDone()) {
+                if (!response) {
+                    throw new Error('No response from page');
+                }
+                return;
+            }
+
+            await pageHandler.checkForCaptcha();
+
+            if (request.userData.label === LABELS.INITIAL || !queryZpid) {
+                queryZpid = await pageHandler.handleInitialPage(queryZpid, loadQueue);
+            }
+
+            await handlePage(pageHandler, context);
+            stats.succeeded(request, Date.now() - startedAt);
+        },
+        handleFailedRequestFunction,
+    });
+
+    const { crawler } = crawlerWrapper;
+    globalContext.crawler = crawler;
+
+    signal?.addEventListener('abort', () => {
+        log.info('Scrape aborted, finishing the running requests');
+        // the running requests stop processing their zpids, the done listener finishes the crawler
+        budget.stop();
+    });
+
+    if (!isDebug) {
+        fns.patchLog(crawler);
+    }
+    // Start crawling
+    if (!input.browserless || !queryZpid) {
+        await crawler.run();
+    }
+
+    if (input.browserless && queryZpid && !signal?.aborted && !budget.isDone()) {
+        /** @type {any} */
+        const { cookies = [], userAgent } = await Apify.getValue('QUERY');
+
+        log.info('Continuing without a browser');
+
+        const httpCrawler = new Apify.BasicCrawler({
+            requestQueue,
+            maxRequestRetries: input.maxRetries || 5,
+            handleRequestTimeoutSecs: input.handlePageTimeoutSecs || 3600,
+            useSessionPool: true,
+            sessionPoolOptions: {
+                maxPoolSize: 10,
+                sessionOptions: {
+                    maxErrorScore: 0.5,
+                },
+            },
+            maxConcurrency: input.maxConcurrency || 10,
+            handleRequestFunction: async (context) => {
+                const { request, session } = context;
+                const startedAt = Date.now();
+
+                stats.trackSession(session);
+
+                if (budget.isDone()) {
+                    request.noRetry = true;
+                    return;
+                }
+
+                if (!session.getCookieString(ORIGIN)) {
+                    session.setPuppeteerCookies(cookies, ORIGIN);
+                }
+
+                const pageHandler = new HttpHandler(context, globalContext, extendOutputFunction, {
+                    session,
+                    userAgent,
+                    proxyUrl: proxyConfig ? proxyConfig.newUrl(session.id) : undefined,
+                    origin: mockServer?.origin,
+                    onResponse: (response) => limits.addResponse(response),
+                });
+
+                const { label } = request.userData;
+
+                if (label !== LABELS.ZPIDS && label !== LABELS.ENRICHED_ZPIDS) {
+                    await pageHandler.loadPage();
+                    await pageHandler.checkForCaptcha();
+                }
+
+                if (label === LABELS.INITIAL) {
+                    queryZpid = await pageHandler.handleInitialPage(queryZpid, loadQueue);
+                }
+
+                await handlePage(pageHandler, { ...context, page: pageHandler.context.page });
+                stats.succeeded(request, Date.now() - startedAt);
+            },
+            handleFailedRequestFunction,
+        });
+
+        globalContext.crawler = httpCrawler;
+
+        if (!isDebug) {
+            fns.patchLog(httpCrawler);
+        }
+
+        await httpCrawler.run();
+    }
+
+    Apify.events.off('aborting', persistState);
+    Apify.events.off('migrating', persistState);
+
+    await mockServer?.close();
+
+    limits.close();
+
+    const limitsSummary = limits.getSummary();
+    await Apify.setValue('LIMITS', limitsSummary);
+
+    if (limitsSummary.reachedLimit) {
+        // the next run with the same storages continues from here
+        await persistState();
+        log.warning(`Stopped early: ${limitsSummary.reachedLimit.message}. Check the LIMITS record for the usage`);
+    }
+
+    await stats.finish();
+
+    await extendScraperFunction(undefined, {
+        label: 'FINISH',
+        crawler: globalContext.crawler,
+    });
+
+    if (!queryZpid && !limitsSummary.reachedLimit) {
+        await webhooks?.sendEvent('query_blocked', {
+            error: 'queryId unavailable',
+        });
+
+        if (globalContext.queryIdRefresh.discoveryFailed) {
+            // the pages loaded, but Zillow changed their scripts
+            throw new Error('Could not find the queryId in the Zillow pages, the website probably changed. Please contact Apify on Intercom');
+        }
+
+        // this usually means the proxy is busted, we need to fail
+        throw new Error('The selected proxy group seems to be blocked, try a different one or contact Apify on Intercom');
+    }
+
+    if (globalContext.recorder) {
+        await globalContext.recorder.saveQuery(/** @type {any} */ (await Apify.getValue('QUERY')));
+        log.info(`Saved the fixtures to ${fixturesDir}`);
+    }
+
+    const coverage = globalContext.coverage.getReport();
+    await Apify.setValue('COVERAGE', coverage);
+
+    if (coverage.summary.truncatedTiles) {
+        log.warning(`${coverage.summary.truncatedTiles} searched areas were truncated, about ${coverage.summary.estimatedMissing} listings were missed. Check the COVERAGE record for details`);
+    }
+
+    const { snapshot } = globalContext;
+
+    if (snapshot) {
+        // a partial run can't tell which listings were removed, the listings
+        // of failed requests and truncated areas weren't seen either
+        const failedRequests = stats.getFailed([
+            LABELS.SEARCH,
+            LABELS.QUERY,
+            LABELS.ZPIDS,
+            LABELS.ENRICHED_ZPIDS,
+            LABELS.DETAIL,
+        ]);
+        const isComplete = !budget.isDone()
+            && !signal?.aborted
+            && !failedRequests
+            && !coverage.summary.truncatedTiles;
+
+        if (isComplete) {
+            const removed = snapshot.getRemoved();
+
+            if (removed.length) {
+                log.info(`${removed.length} listings were removed since the last run`);
+                await Apify.pushData(removed);
+
+                for (const item of removed) {
+                    await webhooks?.sendItem(item);
+                    await onItem?.(item);
+                }
+            }
+        } else {
+            log.warning('The run was partial, removed listings are not detected in this run', {
+                failedRequests,
+                truncatedTiles: coverage.summary.truncatedTiles,
+            });
+        }
+
+        await snapshot.save(isComplete);
+    }
+
+    await globalContext.watchlist?.persist();
+    await globalContext.history?.persist();
+
+    await exportDataset(input);
+
+    await webhooks?.sendEvent('finished', {
+        listings: globalContext.zpids.size,
+        coverage: coverage.summary,
+        reachedLimit: limitsSummary.reachedLimit?.limit ?? null,
+    });
+
+    log.info(`Done with ${globalContext.zpids.size} listings!`);
+};
+
+/**
+ * Runs the whole scrape with the given input. The listings are pushed
+ * to the default dataset, and also passed to `onItem` when provided.
+ * Aborting the `signal` stops the crawler, the run then finishes as partial
+ *
+ * @param {any} input
+ * @param {RunOptions} [options]
+ */
+const run = async (input, options = {}) => {
+    /** @type {Array<() => Promise<void>>} */
+    const cleanups = [];
+
+    try {
+        await scrape(input, options, cleanups);
+    } finally {
+        for (const cleanup of cleanups) {
+            // the error of the run is more important
+            await cleanup().catch((e) => {
+                log.exception(e, 'Cleanup failed');
+            });
+        }
+    }
+};
+
+module.exports = {
+    run,
+};
@@ -0,0 +1,386 @@
+const http = require('http');
+const Apify = require('apify');
+
+const { INITIAL_URL, URL_PATTERNS_TO_BLOCK } = require('./constants');
+const fns = require('./functions');
+const { validateInput, getSimpleResultFunction, getLaunchOptions } = require('./initialization');
+
+const { log, puppeteer } = Apify.utils;
+
+/**
+ * @typedef {{
+ *   browser: import('puppeteer').Browser,
+ *   page: import('puppeteer').Page,
+ *   queryId: string,
+ *   clientVersion: string,
+ *   queryZpid: ReturnType<typeof fns.createQueryZpid>,
+ *   readyAt: string,
+ * }} WarmSession
+ */
+
+const SERVER_START_RETRIES = 3;
+/**
+ * The browser session is renewed before the cookies get stale
+ */
+const SERVER_SESSION_MAX_AGE_MILLIS = 30 * 60 * 1000;
+const SERVER_MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Errors with a status code are sent as they are, the others are
+ * retried once with a new browser session
+ *
+ * @param {number} statusCode
+ * @param {string} message
+ */
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Keeps one browser open on Zillow with a valid queryId. The session is
+ * renewed when it gets blocked, when GraphQL rejects the queryId or
+ * after SERVER_SESSION_MAX_AGE_MILLIS
+ *
+ * @param {any} input
+ */
+const createWarmSessions = async (input) => {
+    const proxyConfig = await fns.proxyConfiguration({
+        proxyConfig: {
+            ...input.proxyConfiguration,
+        },
+    });
+
+    if (proxyConfig?.groups?.includes('RESIDENTIAL')) {
+        proxyConfig.countryCode = 'US';
+    }
+
+    let sessionCount = 0;
+    /** @type {WarmSession | null} */
+    let current = null;
+    /** @type {Promise<WarmSession> | null} */
+    let renewing = null;
+    /** @type {string | null} */
+    let lastError = null;
+
+    /**
+     * @returns {Promise<WarmSession>}
+     */
+    const startSession = async () => {
+        const proxyUrl = proxyConfig?.newUrl(`server_${sessionCount++}`);
+        const browser = await Apify.launchPuppeteer({
+            proxyUrl,
+            launchOptions: getLaunchOptions(input),
+        });
+
+        try {
+            const page = await browser.newPage();
+
+            fns.interceptQueryIdTraffic(page);
+            await puppeteer.blockRequests(page, { urlPatterns: URL_PATTERNS_TO_BLOCK });
+            await page.goto(INITIAL_URL, { timeout: 45000, waitUntil: 'domcontentloaded' });
+
+            if (await page.$('.captcha-container')) {
+                throw new Error('Captcha found on the initial page');
+            }
+
+            const { queryId, clientVersion } = await fns.interceptQueryId(page, /** @type {any} */ ({ url: proxyUrl }));
+
+            log.info('Browser session ready', { queryId });
+
+            return {
+                browser,
+                page,
+                queryId,
+                clientVersion,
+                queryZpid: fns.createQueryZpid(queryId, clientVersion),
+                readyAt: new Date().toISOString(),
+            };
+        } catch (e) {
+            await browser.close().catch(() => {});
+            throw e;
+        }
+    };
+
+    const startWithRetries = async () => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await startSession();
+            } catch (/** @type {any} */ e) {
+                log.warning(`Failed to start the browser session, attempt ${attempt}/${SERVER_START_RETRIES}`, { error: e.message });
+
+                if (attempt >= SERVER_START_RETRIES) {
+                    throw e;
+                }
+            }
+        }
+    };
+
+    /**
+     * Replaces the session, the old one keeps serving until the new one is ready
+     *
+     * @param {WarmSession | null} [stale]
+     * @returns {Promise<WarmSession>}
+     */
+    const renew = (stale = current) => {
+        if (current && stale !== current) {
+            // already renewed by another request
+            return Promise.resolve(current);
+        }
+
+        if (!renewing) {
+            renewing = startWithRetries().then((session) => {
+                const previous = current;
+
+                current = session;
+                lastError = null;
+                previous?.browser.close().catch(() => {});
+
+                return session;
+            }, (e) => {
+                lastError = e.message;
+                log.error('Browser session unavailable', { error: e.message });
+                throw e;
+            }).finally(() => {
+                renewing = null;
+            });
+        }
+
+        return renewing;
+    };
+
+    /**
+     * @param {WarmSession | null} [stale]
+     */
+    const getSession = (stale) => renew(stale).catch((e) => {
+        throw httpError(503, `Browser session unavailable: ${e.message}`);
+    });
+
+    const interval = setInterval(() => {
+        if (current && Date.now() - new Date(current.readyAt).getTime() > SERVER_SESSION_MAX_AGE_MILLIS) {
+            renew().catch(() => {});
+        }
+    }, 60000);
+
+    return {
+        /**
+         * Runs the callback with the warm session, renewing it once on errors
+         *
+         * @template T
+         * @param {(session: WarmSession) => Promise<T>} callback
+         * @returns {Promise<T>}
+         */
+        async use(callback) {
+            for (let attempt = 1; ; attempt++) {
+                const session = current ?? await getSession();
+
+                try {
+                    return await callback(session);
+                } catch (/** @type {any} */ e) {
+                    if (e.statusCode || attempt > 1) {
+                        throw e;
+                    }
+
+                    log.warning(`Renewing the browser session: ${e.message}`);
+                    await getSession(session);
+                }
+            }
+        },
+        /**
+         * Starts the first session in the background
+         */
+        warmUp() {
+            renew().catch(() => {});
+        },
+        getStatus() {
+            let status = renewing ? 'starting' : 'unavailable';
+
+            if (current) {
+                status = 'ready';
+            }
+
+            return {
+                status,
+                queryId: current?.queryId ?? null,
+                clientVersion: current?.clientVersion ?? null,
+                readyAt: current?.readyAt ?? null,
+                lastError,
+            };
+        },
+        async close() {
+            clearInterval(interval);
+            await current?.browser.close().catch(() => {});
+        },
+    };
+};
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+const readJsonBody = async (req) => {
+    /** @type {Buffer[]} */
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+
+        if (size > SERVER_MAX_BODY_BYTES) {
+            throw httpError(413, 'Body is too large');
+        }
+
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+        throw httpError(400, 'Body needs to be valid JSON');
+    }
+};
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {any} body
+ */
+const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Serves single listing lookups and map searches from a warm browser,
+ * instead of starting a whole run for each of them:
+ *
+ * - `GET /property/:zpid` the property data, with the `outputFields` or `outputFormat` of the input
+ * - `POST /search` with a search query state body, the search results of the map area
+ * - `GET /health` the status of the browser session and the current queryId
+ *
+ * Resolves when the server is closed
+ *
+ * @param {any} input
+ */
+const startServer = async (input) => {
+    validateInput(input);
+
+    const getSimpleResult = getSimpleResultFunction(input);
+    const sessions = await createWarmSessions(input);
+    const port = +(input.serverPort || process.env.APIFY_CONTAINER_PORT || 4321);
+
+    /**
+     * @param {string} zpid
+     */
+    const getProperty = async (zpid) => {
+        if (!/^\d+$/.test(zpid)) {
+            throw httpError(400, 'The zpid needs to be numeric');
+        }
+
+        return sessions.use(async ({ page, queryZpid }) => {
+            const response = JSON.parse(await queryZpid(page, zpid));
+
+            if (fns.isQueryIdError(response)) {
+                throw new Error(response?.errors?.[0]?.message ?? 'GraphQL query failed');
+            }
+
+            if (!response.data.property) {
+                throw httpError(404, `Property ${zpid} not found`);
+            }
+
+            return getSimpleResult(response.data.property);
+        });
+    };
+
+    /**
+     * @param {any} queryState
+     */
+    const search = async (queryState) => {
+        if (!queryState || typeof queryState !== 'object' || Array.isArray(queryState)) {
+            throw httpError(400, 'Body needs to be a search query state object');
+        }
+
+        const category = queryState.category === 'cat2' ? 'cat2' : 'cat1';
+
+        return sessions.use(async ({ page }) => {
+            const response = await page.evaluate(fns.queryRegionHomes, {
+                qs: {
+                    ...queryState,
+                    category,
+                },
+                wants: { [category]: ['listResults', 'mapResults'], cat2: ['total'] },
+            });
+
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            // a captcha page isn't JSON
+            const result = JSON.parse(response.body);
+
+            /** @type {Map<string, any>} */
+            const results = new Map();
+
+            for (const searchResult of [
+                ...result?.[category]?.searchResults?.listResults ?? [],
+                ...result?.[category]?.searchResults?.mapResults ?? [],
+            ]) {
+                if (searchResult?.zpid && !results.has(`${searchResult.zpid}`)) {
+                    results.set(`${searchResult.zpid}`, fns.getSearchResultItem(searchResult));
+                }
+            }
+
+            return {
+                totalResultCount: result?.categoryTotals?.[category]?.totalResultCount ?? null,
+                count: results.size,
+                results: [...results.values()],
+            };
+        });
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+        const zpidMatch = pathname.match(/^\/property\/([^/]+)\/?$/);
+
+        try {
+            if (req.method === 'GET' && pathname === '/health') {
+                const status = sessions.getStatus();
+
+                sendJson(res, status.status === 'ready' ? 200 : 503, status);
+            } else if (req.method === 'GET' && zpidMatch) {
+                sendJson(res, 200, await getProperty(decodeURIComponent(zpidMatch[1])));
+            } else if (req.method === 'POST' && pathname === '/search') {
+                sendJson(res, 200, await search(await readJsonBody(req)));
+            } else {
+                sendJson(res, 404, { error: `${req.method} ${pathname} not found` });
+            }
+        } catch (/** @type {any} */ e) {
+            if (!e.statusCode) {
+                log.exception(e, 'Request failed', { url: req.url });
+            }
+
+            sendJson(res, e.statusCode || 502, { error: e.message });
+        }
+    });
+
+    sessions.warmUp();
+
+    await new Promise((resolve) => server.listen(port, () => resolve(undefined)));
+
+    log.info(`Server listening on port ${port}`);
+
+    await new Promise((resolve) => {
+        const close = () => {
+            log.info('Closing the server');
+            server.close(() => resolve(undefined));
+        };
+
+        Apify.events.on('aborting', close);
+        Apify.events.on('migrating', close);
+        process.once('SIGINT', close);
+        process.once('SIGTERM', close);
+    });
+
+    await sessions.close();
+};
+
+module.exports = {
+    startServer,
+};
@@ -0,0 +1,141 @@
+const Apify = require('apify');
+
+const { SNAPSHOT_FIELDS, SNAPSHOT_SHARDS } = require('./constants');
+const fns = require('./functions');
+
+/**
+ * @typedef {{
+ *   hash: string,
+ *   fields: Record<string, any>,
+ *   lastSeenAt: string,
+ * }} SnapshotEntry
+ *
+ * @typedef {{
+ *   changeType: 'NEW' | 'CHANGED',
+ *   changes: Array<{ field: string, previous: any, current: any }>,
+ * }} SnapshotChange
+ */
+
+/**
+ * @param {Record<string, any>} data
+ */
+const getSnapshotFields = (data) => SNAPSHOT_FIELDS.reduce((out, field) => {
+    out[field] = data[field] ?? null;
+    return out;
+}, /** @type {Record<string, any>} */ ({}));
+
+/**
+ * @param {string} zpid
+ */
+const getShardKey = (zpid) => `SNAPSHOT-${(+zpid || 0) % SNAPSHOT_SHARDS}`;
+
+/**
+ * Snapshot of every listing seen by the previous runs, kept in a named
+ * key-value store, so only new, changed and removed listings are output.
+ * The store is only updated at the end of a run, the updates in progress
+ * are kept in the default store to survive migrations
+ *
+ * @param {string} storeName
+ */
+const createSnapshot = async (storeName) => {
+    const store = await Apify.openKeyValueStore(storeName);
+
+    /** @type {Record<string, SnapshotEntry>} */
+    const previous = {};
+
+    for (let i = 0; i < SNAPSHOT_SHARDS; i++) {
+        Object.assign(previous, await store.getValue(`SNAPSHOT-${i}`));
+    }
+
+    /** @type {Record<string, SnapshotEntry>} */
+    const updates = (await Apify.getValue('SNAPSHOT_STATE')) || {};
+
+    return {
+        get size() {
+            return Object.keys(previous).length;
+        },
+        /**
+         * Compares the listing with the previous snapshot. Returns null when unchanged
+         *
+         * @param {Record<string, any>} data
+         * @returns {SnapshotChange | null}
+         */
+        compare(data) {
+            const zpid = `${data.zpid}`;
+            const fields = getSnapshotFields(data);
+            const hash = fns.quickHash(fields);
+
+            updates[zpid] = {
+                hash,
+                fields,
+                lastSeenAt: new Date().toISOString(),
+            };
+
+            const entry = previous[zpid];
+
+            if (!entry) {
+                return { changeType: 'NEW', changes: [] };
+            }
+
+            if (entry.hash === hash) {
+                return null;
+            }
+
+            return {
+                changeType: 'CHANGED',
+                changes: SNAPSHOT_FIELDS
+                    .filter((field) => fns.quickHash(entry.fields[field] ?? null) !== fns.quickHash(fields[field]))
+                    .map((field) => ({
+                        field,
+                        previous: entry.fields[field] ?? null,
+                        current: fields[field],
+                    })),
+            };
+        },
+        /**
+         * Listings from the previous snapshot that weren't seen in this run
+         */
+        getRemoved() {
+            return Object.entries(previous)
+                .filter(([zpid]) => !updates[zpid])
+                .map(([zpid, entry]) => ({
+                    zpid,
+                    ...entry.fields,
+                    lastSeenAt: entry.lastSeenAt,
+                    changeType: 'REMOVED',
+                }));
+        },
+        async persist() {
+            await Apify.setValue('SNAPSHOT_STATE', updates);
+        },
+        /**
+         * Writes the next snapshot to the named store
+         *
+         * @param {boolean} removeMissing Listings that weren't seen are dropped from the snapshot
+         */
+        async save(removeMissing) {
+            /** @type {Record<string, Record<string, SnapshotEntry>>} */
+            const shards = {};
+
+            for (let i = 0; i < SNAPSHOT_SHARDS; i++) {
+                shards[`SNAPSHOT-${i}`] = {};
+            }
+
+            for (const [zpid, entry] of Object.entries({ ...previous, ...updates })) {
+                if (!removeMissing || updates[zpid]) {
+                    shards[getShardKey(zpid)][zpid] = entry;
+                }
+            }
+
+            for (const [key, value] of Object.entries(shards)) {
+                await store.setValue(key, value);
+            }
+
+            await Apify.setValue('SNAPSHOT_STATE', null);
+        },
+    };
+};
+
+module.exports = {
+    createSnapshot,
+};
@@ -0,0 +1,236 @@
+const Apify = require('apify');
+
+const { LABELS } = require('./constants');
+const fns = require('./functions');
+
+const { log } = Apify.utils;
+
+const STATS_PERSIST_INTERVAL_MILLIS = 60 * 1000;
+
+/**
+ * @typedef {{
+ *   succeeded: number,
+ *   failed: number,
+ *   retries: number,
+ *   avgLatencyMillis: number | null,
+ * }} LabelStats
+ */
+
+/**
+ * Keeps the sum and count, the average is only computed for the record
+ */
+const createLatency = () => {
+    let total = 0;
+    let count = 0;
+
+    return {
+        /**
+         * @param {number} millis
+         */
+        add(millis) {
+            total += millis;
+            count++;
+        },
+        average() {
+            return count ? Math.round(total / count) : null;
+        },
+    };
+};
+
+/**
+ * Counters explaining where the listings of the run went: requests per label,
+ * blocks, GraphQL responses, duplicates and the filters that dropped listings.
+ * Saved to the `RUN_STATS` record every minute and at the end of the run
+ *
+ * @param {Set<string>} zpids Output zpids
+ */
+const createRunStats = (zpids) => {
+    const startedAt = new Date().toISOString();
+    /** @type {string | null} */
+    let finishedAt = null;
+
+    /** @type {Record<string, { succeeded: number, failed: number, retries: number, latency: ReturnType<typeof createLatency> }>} */
+    const labels = Object.fromEntries([
+        LABELS.INITIAL,
+        LABELS.SEARCH,
+        LABELS.QUERY,
+        LABELS.ZPIDS,
+        LABELS.ENRICHED_ZPIDS,
+        LABELS.DETAIL,
+    ].map((label) => [label, { succeeded: 0, failed: 0, retries: 0, latency: createLatency() }]));
+
+    let captchas = 0;
+    let dedupedZpids = 0;
+    /** @type {Set<string>} */
+    const retiredSessions = new Set();
+    /** @type {WeakSet<any>} */
+    const trackedPools = new WeakSet();
+    /** @type {Record<string, number>} */
+    const graphqlStatusCodes = {};
+    const graphqlLatency = createLatency();
+    /** @type {Record<string, number>} */
+    const filteredOut = {};
+
+    /**
+     * @param {Apify.Request} request
+     */
+    const getLabel = (request) => {
+        const { label } = request.userData;
+
+        if (!labels[label]) {
+            labels[label] = { succeeded: 0, failed: 0, retries: 0, latency: createLatency() };
+        }
+
+        return labels[label];
+    };
+
+    const getRecord = () => {
+        /** @type {Record<string, LabelStats>} */
+        const byLabel = {};
+        const totals = { succeeded: 0, failed: 0, retries: 0 };
+
+        for (const [label, { succeeded, failed, retries, latency }] of Object.entries(labels)) {
+            byLabel[label] = { succeeded, failed, retries, avgLatencyMillis: latency.average() };
+            totals.succeeded += succeeded;
+            totals.failed += failed;
+            totals.retries += retries;
+        }
+
+        return {
+            startedAt,
+            updatedAt: new Date().toISOString(),
+            finishedAt,
+            listings: zpids.size,
+            requests: {
+                ...totals,
+                labels: byLabel,
+            },
+            captchas,
+            retiredSessions: retiredSessions.size,
+            graphql: {
+                statusCodes: { ...graphqlStatusCodes },
+                avgLatencyMillis: graphqlLatency.average(),
+            },
+            dedupedZpids,
+            filteredOut: { ...filteredOut },
+        };
+    };
+
+    const persist = async () => {
+        await Apify.setValue('RUN_STATS', getRecord());
+    };
+
+    const interval = setInterval(() => {
+        persist().catch((e) => {
+            log.debug('RUN_STATS', { error: e.message });
+        });
+    }, STATS_PERSIST_INTERVAL_MILLIS);
+
+    interval.unref();
+
+    return {
+        /**
+         * The request was handled, its failed attempts are counted as retries
+         *
+         * @param {Apify.Request} request
+         * @param {number} latencyMillis
+         */
+        succeeded(request, latencyMillis) {
+            const stats = getLabel(request);
+
+            stats.succeeded++;
+            stats.retries += request.retryCount;
+            stats.latency.add(latencyMillis);
+        },
+        /**
+         * The request failed too many times or wasn't retried
+         *
+         * @param {Apify.Request} request
+         */
+        failed(request) {
+            const stats = getLabel(request);
+
+            stats.failed++;
+            stats.retries += request.retryCount;
+        },
+        /**
+         * Requests of the labels that failed for good
+         *
+         * @param {string[]} labelNames
+         */
+        getFailed(labelNames) {
+            return labelNames.reduce((count, label) => count + (labels[label]?.failed ?? 0), 0);
+        },
+        addCaptcha() {
+            captchas++;
+        },
+        /**
+         * The zpid was skipped, because it was already output
+         */
+        addDeduped() {
+            dedupedZpids++;
+        },
+        /**
+         * @param {string} reason
+         */
+        addFilteredOut(reason) {
+            filteredOut[reason] = (filteredOut[reason] ?? 0) + 1;
+        },
+        /**
+         * Counts the retired sessions of the pool the session belongs to
+         *
+         * @param {Apify.Session} session
+         */
+        trackSession(session) {
+            const { sessionPool } = /** @type {any} */ (session);
+
+            if (sessionPool && !trackedPools.has(sessionPool)) {
+                trackedPools.add(sessionPool);
+                sessionPool.on('sessionRetired', (/** @type {Apify.Session} */ retired) => {
+                    retiredSessions.add(retired.id);
+                });
+            }
+        },
+        /**
+         * Records the status code and latency of the GraphQL calls made on the page
+         *
+         * @template {{ evaluate: Function }} T
+         * @param {T} page
+         * @returns {T}
+         */
+        wrapPage(page) {
+            return fns.withPageEvaluate(page, async (fn, params) => {
+                if (fn !== fns.evaluateQueryZpid) {
+                    return page.evaluate(fn, params);
+                }
+
+                const start = Date.now();
+                let statusCode = '200';
+
+                try {
+                    return await page.evaluate(fn, params);
+                } catch (/** @type {any} */ e) {
+                    statusCode = e.message?.match(/Got status (\d+) from GraphQL/)?.[1] ?? 'error';
+                    throw e;
+                } finally {
+                    graphqlStatusCodes[statusCode] = (graphqlStatusCodes[statusCode] ?? 0) + 1;
+                    graphqlLatency.add(Date.now() - start);
+                }
+            });
+        },
+        persist,
+        /**
+         * Stops the periodic saving and saves the final record
+         */
+        async finish() {
+            clearInterval(interval);
+            finishedAt = new Date().toISOString();
+
+            await persist();
+        },
+    };
+};
+
+module.exports = {
+    createRunStats,
+};
@@ -0,0 +1,100 @@
+const Apify = require('apify');
+
+const { ORIGIN } = require('./constants');
+
+const { log } = Apify.utils;
+
+/**
+ * @typedef {{
+ *   status: string | null,
+ *   price: number | null,
+ *   zestimate: number | null,
+ *   checkedAt: string,
+ * }} WatchlistState
+ */
+
+/**
+ * Tracked fields and the event type emitted when they change
+ *
+ * @type {Array<[keyof WatchlistState, string]>}
+ */
+const WATCHED_FIELDS = [
+    ['status', 'STATUS_CHANGE'],
+    ['price', 'PRICE_CHANGE'],
+    ['zestimate', 'ZESTIMATE_CHANGE'],
+];
+
+/**
+ * @param {any} data
+ * @returns {WatchlistState}
+ */
+const getWatchlistState = (data) => ({
+    status: data.homeStatus ?? null,
+    price: data.price ?? null,
+    zestimate: data.zestimate ?? null,
+    checkedAt: new Date().toISOString(),
+});
+
+/**
+ * The input zpids as a persistent watchlist. The latest state of each
+ * listing is kept in a named key-value store, and the status, price and
+ * Zestimate changes since the previous run are pushed to a named dataset
+ *
+ * @param {{ watchlistStoreName?: string, watchlistDatasetName?: string }} input
+ */
+const createWatchlist = async (input) => {
+    const store = await Apify.openKeyValueStore(input.watchlistStoreName || 'zillow-watchlist');
+    const events = await Apify.openDataset(input.watchlistDatasetName || 'zillow-watchlist-events');
+
+    /** @type {Record<string, WatchlistState>} */
+    const state = (await store.getValue('WATCHLIST')) || {};
+
+    return {
+        /**
+         * @param {any} data Property data
+         */
+        async update(data) {
+            const zpid = `${data.zpid}`;
+            const previous = state[zpid];
+            const current = getWatchlistState(data);
+            const base = {
+                zpid,
+                url: data.hdpUrl ? new URL(data.hdpUrl, ORIGIN).toString() : null,
+                detectedAt: current.checkedAt,
+            };
+
+            state[zpid] = current;
+
+            if (!previous) {
+                await events.pushData({
+                    ...base,
+                    eventType: 'ADDED',
+                    previous: null,
+                    current: current.status,
+                });
+                return;
+            }
+
+            const changes = WATCHED_FIELDS
+                .filter(([field]) => previous[field] !== current[field])
+                .map(([field, eventType]) => ({
+                    ...base,
+                    eventType,
+                    previous: previous[field],
+                    current: current[field],
+                }));
+
+            if (changes.length) {
+                log.info(`Watchlist listing ${zpid} changed`, { events: changes.map(({ eventType }) => eventType) });
+                await events.pushData(changes);
+            }
+        },
+        async persist() {
+            await store.setValue('WATCHLIST', state);
+        },
+    };
+};
+
+module.exports = {
+    createWatchlist,
+};
@@ -0,0 +1,183 @@
+const Apify = require('apify');
+const { createHmac } = require('crypto');
+const { gotScraping } = require('got-scraping');
+
+const { log, sleep } = Apify.utils;
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   secret?: string,
+ *   headers?: Record<string, string>,
+ * }} Webhook
+ *
+ * @typedef {'started' | 'query_blocked' | 'finished'} WebhookEvent
+ */
+
+const WEBHOOK_RETRIES = 3;
+const WEBHOOK_FLUSH_INTERVAL_MILLIS = 10000;
+
+/**
+ * Accepts plain URLs too
+ *
+ * @param {Array<string | Webhook>} webhooks
+ * @returns {Webhook[]}
+ */
+const getWebhooks = (webhooks = []) => webhooks.map((webhook) => (typeof webhook === 'string'
+    ? { url: webhook }
+    : webhook));
+
+/**
+ * @param {string} body
+ * @param {string} secret
+ */
+const signBody = (body, secret) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Sends the listings in batches and the run lifecycle events to the
+ * configured endpoints. Failed deliveries are retried with a backoff,
+ * then stored in a dead-letter dataset
+ *
+ * @param {{
+ *   webhooks?: Array<string | Webhook>,
+ *   webhookBatchSize?: number,
+ *   webhookDeadLetterDatasetName?: string,
+ * }} input
+ */
+const createWebhooks = async (input) => {
+    const webhooks = getWebhooks(input.webhooks);
+    const batchSize = input.webhookBatchSize || 25;
+    const deadLetter = await Apify.openDataset(input.webhookDeadLetterDatasetName || 'zillow-webhook-dead-letter');
+
+    /** @type {any[]} */
+    let items = [];
+    // deliveries are sent one after the other, keeping the order
+    let pending = Promise.resolve();
+
+    /**
+     * @param {Webhook} webhook
+     * @param {string} body
+     */
+    const deliver = async (webhook, body) => {
+        let lastError = '';
+
+        for (let attempt = 1; attempt <= WEBHOOK_RETRIES; attempt++) {
+            try {
+                const response = await gotScraping({
+                    url: webhook.url,
+                    method: 'POST',
+                    body,
+                    useHeaderGenerator: false,
+                    throwHttpErrors: false,
+                    retry: { limit: 0 },
+                    timeout: { request: 30000 },
+                    headers: {
+                        'content-type': 'application/json',
+                        ...(webhook.secret ? { 'x-signature': signBody(body, webhook.secret) } : {}),
+                        ...webhook.headers,
+                    },
+                });
+
+                if (response.statusCode < 300) {
+                    return;
+                }
+
+                lastError = `Got status ${response.statusCode}`;
+            } catch (/** @type {any} */ e) {
+                lastError = e.message;
+            }
+
+            log.debug('Webhook delivery failed', { url: webhook.url, attempt, error: lastError });
+
+            if (attempt < WEBHOOK_RETRIES) {
+                await sleep(1000 * 2 ** (attempt - 1));
+            }
+        }
+
+        log.warning(`Webhook delivery to ${webhook.url} failed, saved to the dead-letter dataset`, { error: lastError });
+
+        await deadLetter.pushData({
+            url: webhook.url,
+            body: JSON.parse(body),
+            error: lastError,
+            attempts: WEBHOOK_RETRIES,
+            failedAt: new Date().toISOString(),
+        });
+    };
+
+    /**
+     * @param {Record<string, any>} payload
+     */
+    const send = (payload) => {
+        const body = JSON.stringify({
+            ...payload,
+            sentAt: new Date().toISOString(),
+        });
+
+        // one failed delivery can't stop the next ones
+        pending = pending.then(() => Promise.all(webhooks.map((webhook) => deliver(webhook, body)))).then(() => {}, (e) => {
+            log.exception(e, 'Webhook delivery');
+        });
+
+        return pending;
+    };
+
+    const sendItems = () => {
+        if (!items.length) {
+            return pending;
+        }
+
+        const batch = items;
+        items = [];
+
+        return send({ type: 'listings', items: batch });
+    };
+
+    const sendItemsInBackground = () => {
+        sendItems().catch((e) => {
+            log.exception(e, 'Webhook delivery');
+        });
+    };
+
+    const interval = setInterval(sendItemsInBackground, WEBHOOK_FLUSH_INTERVAL_MILLIS);
+
+    interval.unref();
+
+    return {
+        /**
+         * Queues the listing, sent when the batch is full or every few seconds
+         *
+         * @param {any} item
+         */
+        async sendItem(item) {
+            items.push(item);
+
+            if (items.length >= batchSize) {
+                // not waiting for the delivery
+                sendItemsInBackground();
+            }
+        },
+        /**
+         * @param {WebhookEvent} event
+         * @param {Record<string, any>} [data]
+         */
+        async sendEvent(event, data = {}) {
+            await sendItems();
+            await send({ type: 'event', event, ...data });
+        },
+        /**
+         * Sends the queued listings and waits for all the deliveries
+         */
+        async flush() {
+            await sendItems();
+        },
+        async close() {
+            clearInterval(interval);
+            await sendItems();
+        },
+    };
+};
+
+module.exports = {
+    createWebhooks,
+};